@@ -314,59 +314,259 @@
     f.img.src = FENDER_DIR + f.file + bust;
   }
 
-  // Parse tire sizes: metric (e.g., 225/45R17, 225/45-17) and flotation (31x10.5R15, 33x12.50-20).
-  // Partial sizes without the rim value (e.g., 235/45 or 31x10.5) take R from rimDiamIn (the wheel's rim diameter input).
+  // Tire load index -> max load per tire in kg (ETRTO/ISO table, index 0-150).
+  const LOAD_INDEX_KG = [
+    45, 46.2, 47.5, 48.7, 50, 51.5, 53, 54.5, 56, 58,
+    60, 61.5, 63, 65, 67, 69, 71, 73, 75, 77.5,
+    80, 82.5, 85, 87.5, 90, 92.5, 95, 97.5, 100, 103,
+    106, 109, 112, 115, 118, 121, 125, 128, 132, 136,
+    140, 145, 150, 155, 160, 165, 170, 175, 180, 185,
+    190, 195, 200, 206, 212, 218, 224, 230, 236, 243,
+    250, 257, 265, 272, 280, 290, 300, 307, 315, 325,
+    335, 345, 355, 365, 375, 387, 400, 412, 425, 437,
+    450, 462, 475, 487, 500, 515, 530, 545, 560, 580,
+    600, 615, 630, 650, 670, 690, 710, 730, 750, 775,
+    800, 825, 850, 875, 900, 925, 950, 975, 1000, 1030,
+    1060, 1090, 1120, 1150, 1180, 1215, 1250, 1285, 1320, 1360,
+    1400, 1450, 1500, 1550, 1600, 1650, 1700, 1750, 1800, 1850,
+    1900, 1950, 2000, 2060, 2120, 2180, 2240, 2300, 2360, 2430,
+    2500, 2575, 2650, 2725, 2800, 2900, 3000, 3075, 3150, 3250,
+    3350
+  ];
+  // Speed symbol -> max speed in km/h. "(Y)" (above 300) and a bare ZR
+  // construction (above 240) are open-ended; see speedAbove in parseTireSize.
+  const SPEED_SYMBOL_KMH = {
+    J: 100, K: 110, L: 120, M: 130, N: 140, P: 150, Q: 160, R: 170, S: 180,
+    T: 190, U: 200, H: 210, V: 240, W: 270, Y: 300, '(Y)': 300
+  };
+  const ZR_MIN_KMH = 240;
+  const KG_PER_LB = 0.45359237;
+  const KM_PER_MI = 1.609344;
+
+  // Normalize a typed/printed tire size: uppercase, single spaces, and no
+  // spaces inside the size itself ("225 / 45 R 17" -> "225/45R17") or
+  // between a load index and its speed symbol ("91 W" -> "91W").
+  function normalizeTireStr(raw) {
+    return String(raw || '').trim().toUpperCase()
+      .replace(/\s+/g, ' ')
+      .replace(/(\d) ?([\/-]) ?(?=\d)/g, '$1$2')
+      .replace(/(\d) ?X ?(?=\d)/g, '$1X')
+      .replace(/(\d) (\(Y\)|[A-Z])(?= |$)/g, '$1$2')
+      // Join "R 17" but not a rim-less "ZR 94Y": only a rim value follows
+      .replace(/(\d) ?(ZR|R|D) ?(?=\d{2,3}(?:\.\d)?(?:C|LT)?(?: |$))/, '$1$2');
+  }
+
+  // Sidewall markers that don't change the size or rating: recorded as flags,
+  // or skipped (tube type, rim protector, OE homologation codes like * / MO / N0,
+  // LT load range LRE and ply rating 10PR)
+  const RUN_FLAT_MARKS = ['RFT', 'RUNFLAT', 'SSR', 'ZP', 'EMT', 'ROF', 'DSST', 'RSC', 'HRS', 'XRP', 'MOE'];
+  const MUD_SNOW_MARKS = ['M+S', 'M&S', 'M/S', 'MS'];
+  const SNOWFLAKE_MARKS = ['3PMSF', '3PMS'];
+  const SKIPPED_MARKS = /^(TL|TT|TUBELESS|SL|FR|MFS|RPB|\*|MO\d?|MO-S|AOE?\d?|RO\d|N\d|J|JLR|VOL|T\d|LR[A-N]?|\d{1,2}PR|B\d?|K\d|AR|ELT|NCS|SIL|ACOUSTIC|SEALINSIDE|SEAL)$/;
+
+  // Everything printed after the size: a service description (load index,
+  // single or LT dual like 121/118, plus speed symbol, also the bracketed
+  // (94Y) form) and markers such as XL / RF / M+S / RunFlat / an LT load
+  // range (E, LRE, Load Range E). Returns null when a token isn't recognized.
+  function parseTireMarkings(rest) {
+    const out = {
+      loadIndex: null, loadIndexDual: null, speedSymbol: null, xl: false, rf: false, suffix: null,
+      runFlat: false, mudSnow: false, snowflake: false
+    };
+    const tokens = rest.replace(/\bRUN[ -]FLAT\b/g, 'RUNFLAT').replace(/\bLOAD RANGE ([A-N])\b/g, 'LR$1')
+      .split(' ').filter(Boolean);
+    for (const tok of tokens) {
+      const m = tok.match(/^(\d{2,3})(?:\/(\d{2,3}))?(\(Y\)|[A-Z])?$/)
+        // (94Y): service description of a ZR tire rated above 300 km/h
+        || tok.match(/^\((\d{2,3})(?:\/(\d{2,3}))?([A-Z])\)$/);
+      if (m && out.loadIndex == null && +m[1] < LOAD_INDEX_KG.length) {
+        const symbol = tok.startsWith('(') && m[3] === 'Y' ? '(Y)' : m[3];
+        if (symbol && !(symbol in SPEED_SYMBOL_KMH)) return null;
+        out.loadIndex = parseInt(m[1], 10);
+        out.loadIndexDual = m[2] ? parseInt(m[2], 10) : null;
+        out.speedSymbol = symbol || null;
+      } else if (RUN_FLAT_MARKS.includes(tok)) {
+        out.runFlat = true;
+      } else if (MUD_SNOW_MARKS.includes(tok)) {
+        out.mudSnow = true;
+      } else if (SNOWFLAKE_MARKS.includes(tok)) {
+        out.snowflake = out.mudSnow = true; // 3PMSF tires are M+S rated too
+      } else if (SKIPPED_MARKS.test(tok)) {
+        // informational only
+      } else if (tok === '(Y)' && !out.speedSymbol) {
+        out.speedSymbol = tok;
+      } else if (tok === 'XL' || tok === 'EXTRALOAD') {
+        out.xl = true;
+      } else if (tok === 'RF' || tok === 'REINF' || tok === 'REINFORCED') {
+        out.rf = true;
+      } else if ((tok === 'C' || tok === 'LT') && !out.suffix) {
+        out.suffix = tok;
+      } else if (tok === 'TRX' || tok === 'TD') {
+        // millimetric tire family marks; the rim size already says it all
+      } else if (/^[A-N]$/.test(tok) && out.loadIndex != null) {
+        // bare LT load range letter after the service description (121/118S E)
+      } else {
+        return null;
+      }
+    }
+    return out;
+  }
+
+  // Series assumed when the size has no aspect ratio: "155R13" metric sizes
+  // are the old 82 series, conventional inch sizes (7.50-16) are close to
+  // section height = width, and the inch LT sizes made for 16.5/17.5 rims
+  // (8.75R16.5) were a low 82 series again.
+  const IMPLIED_AR_METRIC = 82;
+  const IMPLIED_AR_INCH = 100;
+  const IMPLIED_AR_INCH_HALF_RIM = 82;
+  // Millimetric (TRX/TD) rim diameters in mm, e.g. 220/55R390
+  const MM_RIMS = [340, 365, 390, 415];
+
+  // Parse tire sizes: metric (e.g., 225/45R17, 225/45-17) and flotation (31x10.5R15, 33x12.50-20),
+  // with the sidewall extras: P/LT/C category, ZR/R/D construction, load index (single or dual),
+  // speed symbol and markers, e.g. 225/45ZR17 94Y XL, 225/45ZR17 (94Y), P215/65R16 98H M+S,
+  // 205/55R16 91V RunFlat, LT265/70R17 121/118S.
+  // Legacy and specialty notations: no aspect ratio (155R13), millimetric rims (220/55R390),
+  // half-inch rims (8.75R16.5) and inch-numeric sizes (7.50-16).
+  // Partial sizes without the rim value (e.g., 235/45, 155R or 31x10.5 94Y) take R from rimDiamIn (the wheel's rim diameter input).
   function parseTireSize(raw, rimDiamIn) {
     if (!raw) return null;
-    const s = String(raw).trim().toUpperCase().replace(/\s+/g, "");
+    const s = normalizeTireStr(raw);
     const hasRim = rimDiamIn != null && !isNaN(rimDiamIn) && rimDiamIn > 0;
 
-    // Metric: 225/45R17 or 225/45-17
-    let m = s.match(/^(\d{3})\/(\d{2,3})(?:R|\-)?(\d{2})$/);
-    if (m) {
-      const sw_mm = parseInt(m[1], 10); // section width mm nominal
-      const ar = parseInt(m[2], 10); // aspect ratio %
-      const rim_in = parseInt(m[3], 10);
-      return { type: 'metric', sw_mm, ar, rim_in };
+    // [category][size][construction][rim][C/LT suffix] then the markings
+    const m = s.match(new RegExp('^(?<cat>P|LT|C)?'
+      + '(?:(?<sw>\\d{3})\\/(?<ar>\\d{2,3})'              // 225/45
+      + '|(?<od>\\d{2,3}(?:\\.\\d)?)X(?<fsec>\\d{1,2}(?:\\.\\d{1,2})?)' // 31x10.5
+      + '|(?<isec>\\d{1,2}\\.\\d{2})'                      // 7.50, 8.75
+      + '|(?<bare>\\d{3}))'                               // 155
+      + '(?:(?<cons>ZR|R|D|-)(?<rim>' + MM_RIMS.join('|') + '|\\d{2}(?:\\.5)?)?)?'
+      + '(?<suf>C|LT)?(?=\\d| |$)(?<rest>.*)$'));
+    if (!m) return null;
+    const g = m.groups;
+    // "155R13" needs its R: a bare, half-typed "225" is not a size yet
+    if (g.bare && (!g.cons || g.cons === '-')) return null;
+    const marks = parseTireMarkings(g.rest);
+    if (!marks) return null;
+
+    let rim_in = null, rim_mm = null;
+    if (g.rim) {
+      const v = parseFloat(g.rim);
+      if (MM_RIMS.includes(v)) { rim_mm = v; rim_in = v / MM_PER_IN; } else rim_in = v;
     }
-
-    // Partial metric: 235/45 (rim diameter from wheel input)
-    m = s.match(/^(\d{3})\/(\d{2,3})(?:R|\-)?$/);
-    if (m && hasRim) {
-      const sw_mm = parseInt(m[1], 10);
-      const ar = parseInt(m[2], 10);
-      return { type: 'metric', sw_mm, ar, rim_in: rimDiamIn };
+    const partial = rim_in == null;
+    if (partial) {
+      if (!hasRim) return null;
+      rim_in = rimDiamIn;
     }
 
-    // Flotation: 31x10.5R15, 31X10.5-15, 35X12.50R20
-    m = s.match(/^(\d{2,3}(?:\.\d)?)X(\d{1,2}(?:\.\d{1,2})?)(?:R|\-)?(\d{2})$/);
-    if (m) {
-      const od_in = parseFloat(m[1]); // overall diameter inches
-      const sec_in = parseFloat(m[2]); // section width inches
-      const rim_in = parseInt(m[3], 10);
-      return { type: 'flotation', od_in, sec_in, rim_in };
-    }
+    const construction = (g.cons && g.cons !== '-') ? g.cons : null;
+    const category = g.cat || g.suf || marks.suffix || null;
+    const speedSymbol = marks.speedSymbol;
+    let speedKmh = speedSymbol ? SPEED_SYMBOL_KMH[speedSymbol] : null;
+    let speedAbove = speedSymbol === '(Y)';
+    if (speedKmh == null && construction === 'ZR') { speedKmh = ZR_MIN_KMH; speedAbove = true; }
+    const extras = {
+      category,
+      construction,
+      loadIndex: marks.loadIndex,
+      loadIndexDual: marks.loadIndexDual,
+      speedSymbol,
+      speedKmh,
+      speedAbove,
+      xl: marks.xl,
+      rf: marks.rf,
+      runFlat: marks.runFlat,
+      mudSnow: marks.mudSnow,
+      snowflake: marks.snowflake,
+      partial,
+      rim_mm
+    };
 
-    // Partial flotation: 31x10.5 (rim diameter from wheel input)
-    m = s.match(/^(\d{2,3}(?:\.\d)?)X(\d{1,2}(?:\.\d{1,2})?)(?:R|\-)?$/);
-    if (m && hasRim) {
-      const od_in = parseFloat(m[1]);
-      const sec_in = parseFloat(m[2]);
-      return { type: 'flotation', od_in, sec_in, rim_in: rimDiamIn };
+    if (g.sw || g.bare) {
+      const sw_mm = parseInt(g.sw || g.bare, 10); // section width mm nominal
+      const ar = g.ar ? parseInt(g.ar, 10) : IMPLIED_AR_METRIC; // aspect ratio %
+      return { type: 'metric', sw_mm, ar, arImplied: !g.ar, rim_in, ...extras };
+    }
+    if (g.isec) {
+      const sec_in = parseFloat(g.isec); // section width inches
+      const ar = (rim_in % 1 === 0.5) ? IMPLIED_AR_INCH_HALF_RIM : IMPLIED_AR_INCH;
+      return { type: 'inch', sec_in, ar, arImplied: true, rim_in, ...extras };
     }
+    const od_in = parseFloat(g.od); // overall diameter inches
+    const sec_in = parseFloat(g.fsec); // section width inches
+    return { type: 'flotation', od_in, sec_in, rim_in, ...extras };
+  }
 
-    return null; // unsupported
+  // Max load per tire (kg) from the load index; the single-fitment value for
+  // dual LT indices. null when the size carries no load index.
+  function loadCapacityKg(parsed) {
+    if (parsed?.loadIndex == null) return null;
+    return LOAD_INDEX_KG[parsed.loadIndex] ?? null;
   }
 
   // Compute tire geometry
-  function tireGeometry(parsed, brandWidthCorrectionPct = 0, rimWidthIn = null) {
+  // Approved / measuring rim widths. Metric sizes follow the ETRTO tables:
+  // per aspect-ratio band, the measuring rim (in) per nominal section width
+  // and how far below/above it the approved range reaches. Widths missing
+  // from a band fall back to the band's section-to-rim ratio. Inch sizes
+  // (flotation and numeric) follow TRA: measuring rim ≈ 80% of section.
+  const RIM_WIDTH_TABLE = [
+    { arMax: 35, ratio: 0.85, below: 0.5, above: 1.0,
+      meas: { 205: 7.0, 215: 7.5, 225: 8.0, 235: 8.5, 245: 8.5, 255: 9.0, 265: 9.5, 275: 9.5, 285: 10.0, 295: 10.5, 305: 11.0, 315: 11.0, 325: 11.5, 335: 12.0, 345: 12.0 } },
+    { arMax: 45, ratio: 0.80, below: 0.5, above: 1.0,
+      meas: { 195: 6.5, 205: 7.0, 215: 7.0, 225: 7.5, 235: 8.0, 245: 8.0, 255: 8.5, 265: 9.0, 275: 9.0, 285: 9.5, 295: 10.0, 305: 10.5 } },
+    { arMax: 55, ratio: 0.75, below: 1.0, above: 1.0,
+      meas: { 185: 5.5, 195: 6.0, 205: 6.5, 215: 6.5, 225: 7.0, 235: 7.0, 245: 7.5, 255: 8.0, 265: 8.0, 275: 8.5 } },
+    { arMax: 65, ratio: 0.72, below: 1.0, above: 1.0,
+      meas: { 175: 5.0, 185: 5.5, 195: 6.0, 205: 6.0, 215: 6.5, 225: 6.5, 235: 7.0, 245: 7.0, 255: 7.5, 265: 8.0, 275: 8.0 } },
+    { arMax: Infinity, ratio: 0.70, below: 1.0, above: 1.0,
+      meas: { 155: 4.5, 165: 5.0, 175: 5.0, 185: 5.5, 195: 5.5, 205: 6.0, 215: 6.0, 225: 6.5, 235: 6.5, 245: 7.0, 255: 7.0, 265: 7.5, 275: 8.0, 285: 8.0 } }
+  ];
+  const TRA_RIM_RATIO = 0.80;
+  const TRA_RIM_BELOW = 1.5;
+  const TRA_RIM_ABOVE = 0.5;
+  const RIM_FIT_WARN_IN = 0.5;     // out of range by up to this much = warn, beyond = bad
+  const RIM_ADJUST_MM_PER_IN = 10; // standard rule: 5 mm of section width per ½" of rim
+  const roundHalf = n => Math.round(n * 2) / 2;
+
+  function rimWidthRange(parsed) {
+    if (!parsed) return null;
+    if (parsed.type === 'metric') {
+      const band = RIM_WIDTH_TABLE.find(b => parsed.ar <= b.arMax);
+      const measIn = band.meas[parsed.sw_mm] ?? roundHalf(parsed.sw_mm * band.ratio / MM_PER_IN);
+      return { source: 'ETRTO', measIn, minIn: measIn - band.below, maxIn: measIn + band.above };
+    }
+    const measIn = roundHalf(parsed.sec_in * TRA_RIM_RATIO);
+    return { source: 'TRA', measIn, minIn: measIn - TRA_RIM_BELOW, maxIn: measIn + TRA_RIM_ABOVE };
+  }
+
+  // Grade the rim width against the tire: approved, stretched (rim wider
+  // than approved) or too_wide (tire too wide for the rim)
+  function rimFitCheck(set) {
+    const range = rimWidthRange(set?.tireParsed);
+    const widthIn = set?.rimWidthIn;
+    if (!range || !(widthIn > 0)) return null;
+    let status = 'approved', offIn = 0;
+    if (widthIn > range.maxIn) { status = 'stretched'; offIn = widthIn - range.maxIn; }
+    else if (widthIn < range.minIn) { status = 'too_wide'; offIn = range.minIn - widthIn; }
+    const level = status === 'approved' ? 'good' : (offIn <= RIM_FIT_WARN_IN ? 'warn' : 'bad');
+    return { ...range, widthIn, status, offIn, level };
+  }
+  function rimFitLabel(fit) {
+    if (fit.status === 'stretched') return t('rim_fit_stretched', 'Stretched');
+    if (fit.status === 'too_wide') return t('rim_fit_too_wide', 'Tire too wide');
+    return t('rim_fit_approved', 'Approved');
+  }
+
+  function tireGeometry(parsed, brandWidthCorrectionPct = 0, rimWidthIn = null, rimAdjust = false) {
     if (!parsed) return null;
 
     let rim_in = parsed.rim_in;
     let sectionWidthMm, sidewallMm, overallDiaMm, circumferenceMm, revsPerMile;
 
-    if (parsed.type === 'metric') {
-      sectionWidthMm = parsed.sw_mm;
+    if (parsed.type === 'metric' || parsed.type === 'inch') {
+      sectionWidthMm = parsed.type === 'inch' ? parsed.sec_in * MM_PER_IN : parsed.sw_mm;
       const ar = parsed.ar / 100;
       sidewallMm = sectionWidthMm * ar;
       overallDiaMm = rim_in * MM_PER_IN + 2 * sidewallMm;
@@ -382,8 +582,11 @@
     const corr = (brandWidthCorrectionPct || 0) / 100;
     sectionWidthMm = sectionWidthMm * (1 + corr);
 
-    // Note: rim width intentionally does NOT influence section width —
-    // tire width comes only from the tire size (plus brand correction).
+    // Note: rim width does NOT influence section width unless rimAdjust is
+    // asked for — then the standard 5 mm per ½" rule is applied relative to
+    // the measuring rim (see rimWidthRange).
+    const range = (rimAdjust && rimWidthIn > 0) ? rimWidthRange(parsed) : null;
+    if (range) sectionWidthMm += (rimWidthIn - range.measIn) * RIM_ADJUST_MM_PER_IN;
 
     circumferenceMm = overallDiaMm * PI;
     // revs per mile = 1 mile / circumference
@@ -423,9 +626,13 @@
   // Validate tire rim diameter matches wheel rim diameter (hard requirement)
   function diameterMismatch(tireParsed, rimDiamIn) {
     if (!tireParsed || rimDiamIn == null || isNaN(rimDiamIn)) return null;
-    // tireParsed.rim_in is in inches (integer). Allow tiny tolerance for input decimals.
+    // tireParsed.rim_in is in inches (whole or half inch). Allow tiny tolerance for input decimals;
+    // millimetric rims (390 mm = 15.35 in) accept the inch value rounded to one decimal.
+    const tol = tireParsed.rim_mm ? 0.1 : 0.05;
     const diff = Math.abs((tireParsed.rim_in || 0) - rimDiamIn);
-    return diff > 0.05 ? { tireRimIn: tireParsed.rim_in, wheelRimIn: rimDiamIn } : null;
+    if (diff <= tol) return null;
+    const tireRimIn = tireParsed.rim_mm ? +tireParsed.rim_in.toFixed(2) : tireParsed.rim_in;
+    return { tireRimIn, wheelRimIn: rimDiamIn };
   }
 
   // Compose a setup from fields
@@ -440,8 +647,28 @@
     if (isNaN(bulgePct)) bulgePct = 5;
     bulgePct = clamp(bulgePct, 0, 10);
 
+    // Vehicle clearances measured at this wheel (baseline only; NaN elsewhere)
+    const innerClearMm = parseFloat($(`#${prefixRoot}_inner_clear`)?.value);
+    const outerClearMm = parseFloat($(`#${prefixRoot}_outer_clear`)?.value);
+    const archClearMm = parseFloat($(`#${prefixRoot}_arch_clear`)?.value);
+
+    // Weight of one wheel and one tire, kg (optional)
+    const wheelKg = parseFloat($(`#${prefixRoot}_wheel_weight`)?.value);
+    const tireKg = parseFloat($(`#${prefixRoot}_tire_weight`)?.value);
+
     const tireParsed = parseTireSize(tireStr, rimDiamIn);
-    const tireGeom = tireGeometry(tireParsed, correction, rimWidthIn);
+    // Load index / load type typed in their own fields win over the sidewall markings
+    const loadIndex = parseInt($(`#${prefixRoot}_load_index`)?.value, 10);
+    const loadType = $(`#${prefixRoot}_load_type`)?.value || '';
+    if (tireParsed) {
+      if (loadIndex >= 0 && loadIndex < LOAD_INDEX_KG.length) {
+        tireParsed.loadIndex = loadIndex;
+        tireParsed.loadIndexDual = null;
+      }
+      if (loadType) tireParsed.xl = loadType === 'XL';
+    }
+    const rimAdjust = !!$('#base_rim_adjust')?.checked; // vehicle-wide option
+    const tireGeom = tireGeometry(tireParsed, correction, rimWidthIn, rimAdjust);
     const wheelGeom = wheelGeometry2(rimWidthIn, etMm, spacerMm);
     const diamError = diameterMismatch(tireParsed, rimDiamIn);
 
@@ -454,6 +681,11 @@
       spacerMm,
       correction,
       bulgePct,
+      innerClearMm,
+      outerClearMm,
+      archClearMm,
+      wheelKg,
+      tireKg,
       tireParsed,
       tireGeom,
       wheelGeom,
@@ -461,6 +693,97 @@
     };
   }
 
+  // Staggered setups: a setup (and the baseline) is its front axle, with the
+  // rear axle read from the `<prefix>_rear_*` fields hung off it as `rear`
+  // while the `<prefix>_staggered` box is ticked. Square setups have
+  // rear = null and axleOf() falls back to the front for both axles.
+  function readAxlesFromInputs(prefixRoot) {
+    const front = readSetupFromInputs(prefixRoot);
+    front.axle = 'front';
+    front.rear = null;
+    if ($(`#${prefixRoot}_staggered`)?.checked) {
+      const rear = readSetupFromInputs(`${prefixRoot}_rear`);
+      rear.id = prefixRoot;
+      rear.axle = 'rear';
+      front.rear = rear;
+    }
+    // Remaining tread depth per axle (empty = new tire). Read for both axles
+    // even on square setups: one axle may be running fresh tires.
+    front.treadMm = parseFloat($(`#${prefixRoot}_tread`)?.value);
+    front.treadRearMm = parseFloat($(`#${prefixRoot}_tread_rear`)?.value);
+    // Static camber per axle, degrees (negative = top inward). Empty on a
+    // setup = same as the baseline's axle (see camberOf).
+    front.camberDeg = parseFloat($(`#${prefixRoot}_camber`)?.value);
+    front.camberRearDeg = parseFloat($(`#${prefixRoot}_camber_rear`)?.value);
+    // Placard inflation pressure per axle, kPa (baseline only; empty rear =
+    // same as the front)
+    front.placardKpa = readPressureKpa(`${prefixRoot}_pressure`);
+    const rearKpa = readPressureKpa(`${prefixRoot}_pressure_rear`);
+    front.placardRearKpa = isNaN(rearKpa) ? front.placardKpa : rearKpa;
+    front.hub = readHubFromInputs(prefixRoot);
+    if (front.rear) {
+      front.rear.hub = front.hub;
+      front.rear.treadMm = front.treadRearMm;
+      front.rear.camberDeg = front.camberRearDeg;
+      front.rear.placardKpa = front.placardRearKpa;
+    }
+    return front;
+  }
+  function axleOf(set, axle) {
+    if (axle !== 'rear' || !set) return set;
+    if (set.rear) return set.rear;
+    // Square setup: the same wheel and tire, with the rear axle's own camber
+    // and placard pressure
+    if (Object.is(set.camberRearDeg, set.camberDeg) && Object.is(set.placardRearKpa, set.placardKpa)) return set;
+    return { ...set, camberDeg: set.camberRearDeg, placardKpa: set.placardRearKpa };
+  }
+  function readHubFromInputs(prefixRoot) {
+    const val = suffix => $(`#${prefixRoot}_${suffix}`)?.value || '';
+    return {
+      pcd: parsePcd(val('pcd')),
+      boreMm: parseFloat(val('bore')),
+      thread: parseThread(val('thread')),
+      seat: val('seat'),
+      // Thickness of the wheel's mounting pad at the lug holes (hub face to seat)
+      seatDepthMm: parseFloat(val('seat_depth')),
+      // Current hardware, measured with the baseline's own spacer (baseline only)
+      engagementMm: parseFloat(val('engagement')),
+      lugType: val('lug_type'),
+      lugLenMm: parseFloat(val('lug_len'))
+    };
+  }
+  // Pressure field in the unit picked next to the placard fields, as kPa
+  function readPressureKpa(id) {
+    const v = parseFloat($(`#${id}`)?.value);
+    const unit = $('#base_pressure_unit')?.value || 'bar';
+    if (unit === 'psi') return v * KPA_PER_PSI;
+    return unit === 'kpa' ? v : v * KPA_PER_BAR;
+  }
+  // Whether the rear axle differs from the front (staggered, or its own camber / pressure)
+  function hasRearAxle(set) {
+    return axleOf(set, 'rear') !== set;
+  }
+  // The distinct axles of a setup: [front] or [front, rear]
+  function axlesOf(set) {
+    return set.rear ? [set, set.rear] : [set];
+  }
+  function axlesValid(set) {
+    return axlesOf(set).every(a => !a.diamMismatch && a.tireGeom && a.wheelGeom);
+  }
+
+  // Camber of a set on its axle; setups without their own fall back to the baseline
+  const STRUT_HEIGHT_MM = 100; // default strut reference height above the hub
+  function camberOf(base, set) {
+    if (!isNaN(set?.camberDeg)) return set.camberDeg;
+    return isNaN(base?.camberDeg) ? 0 : base.camberDeg;
+  }
+  // Lateral position (from the hub face, + outboard) of a wheel point at
+  // lateral x and height h above the hub once the wheel tilts by camber
+  function camberX(x, h, deg) {
+    const a = deg * PI / 180;
+    return x * Math.cos(a) + h * Math.sin(a);
+  }
+
   // Deltas vs baseline
   function compareSetups(base, cmp) {
     if (!base?.tireGeom || !cmp?.tireGeom) return null;
@@ -471,11 +794,17 @@
     const rideHeightDeltaMm = (cmpT.overallDiaMm - baseT.overallDiaMm) / 2;
 
     // Inner and outer positions relative to hub face at wheel centerline:
-    // inner extends backspacing; outer extends frontspacing.
+    // inner extends backspacing; outer extends frontspacing. Camber tilts
+    // the wheel about the hub, so the inner edge is taken at strut height
+    // and the outer edge at the top of the tire (fender lip). At 0° this is
+    // the plain backspacing/frontspacing difference.
     let innerMoveMm = null, outerMoveMm = null;
     if (baseW && cmpW) {
-      innerMoveMm = cmpW.backspacingMm - baseW.backspacingMm; // + means closer to strut
-      outerMoveMm = cmpW.frontspacingMm - baseW.frontspacingMm; // + means more poke
+      const camB = camberOf(base, base), camC = camberOf(base, cmp);
+      const strutH = isNaN(base.strutHeightMm) ? STRUT_HEIGHT_MM : base.strutHeightMm;
+      const lipH = baseT.overallDiaMm / 2;
+      innerMoveMm = camberX(-baseW.backspacingMm, strutH, camB) - camberX(-cmpW.backspacingMm, strutH, camC); // + means closer to strut
+      outerMoveMm = camberX(cmpW.frontspacingMm, lipH, camC) - camberX(baseW.frontspacingMm, lipH, camB); // + means more poke
     }
 
     // Speedo error: vehicle speed indicated relates to wheel revs. New circumference changes reading.
@@ -498,8 +827,8 @@
     const minInner = parseFloat($("#th_inner").value || thresholds.inner);
     const minOuter = parseFloat($("#th_outer").value || thresholds.outer);
 
-    const baseInner = parseFloat($("#base_inner_clear").value);
-    const baseOuter = parseFloat($("#base_outer_clear").value);
+    const baseInner = base.innerClearMm;
+    const baseOuter = base.outerClearMm;
 
     if (!isNaN(baseInner) && cmpDelta.innerMoveMm != null) {
       const newInner = baseInner - cmpDelta.innerMoveMm; // positive innerMove reduces clearance
@@ -519,7 +848,7 @@
   const ARCH_WARN_MM = 20;
   const ARCH_BAD_MM = 10;
   function archClearance(base, setup) {
-    const baseArch = parseFloat($('#base_arch_clear').value);
+    const baseArch = base.archClearMm;
     const cmp = compareSetups(base, setup);
     if (isNaN(baseArch) || !cmp || cmp.rideHeightDeltaMm == null) return null;
     const value = baseArch - cmp.rideHeightDeltaMm;
@@ -538,6 +867,379 @@
     return 'good';
   }
 
+  // Load capacity and speed rating of a setup against the baseline. Shared
+  // by the report rows and the alerts so both flag the same shortfall. Each
+  // part is null when either tire has no such marking.
+  function ratingCheck(base, setup) {
+    const baseKg = loadCapacityKg(base?.tireParsed);
+    const kg = loadCapacityKg(setup?.tireParsed);
+    const baseKmh = base?.tireParsed?.speedKmh;
+    const kmh = setup?.tireParsed?.speedKmh;
+    return {
+      load: (kg != null && baseKg != null) ? { kg, baseKg, pass: kg >= baseKg } : null,
+      speed: (kmh != null && baseKmh != null) ? { kmh, baseKmh, pass: kmh >= baseKmh } : null
+    };
+  }
+
+  // Load vs inflation pressure (ETRTO passenger, ETRTO C and TRA LT tables):
+  // fraction of the load-index capacity carried at each pressure (kPa). A
+  // tire reaches its full rated load at the last (reference) pressure; more
+  // air than that adds no capacity. Below the first row is under the
+  // minimum the tables allow. XL tires carry the standard-load curve of
+  // their size up to 250 kPa and keep gaining load up to 290 kPa.
+  const LOAD_PRESSURE_TABLES = {
+    SL: [[160, 0.765], [180, 0.821], [200, 0.875], [220, 0.926], [240, 0.976], [250, 1]],
+    XL: [[160, 0.700], [180, 0.751], [200, 0.800], [220, 0.847], [240, 0.893], [250, 0.915], [260, 0.937], [280, 0.979], [290, 1]],
+    C: [[240, 0.664], [280, 0.728], [320, 0.789], [360, 0.847], [400, 0.902], [440, 0.955], [475, 1]],
+    LT: [[240, 0.686], [280, 0.752], [320, 0.815], [360, 0.875], [400, 0.932], [450, 1]] // load range D
+  };
+  const KPA_PER_BAR = 100;
+  const KPA_PER_PSI = 6.894757;
+  function loadPressureTable(parsed) {
+    if (parsed?.category === 'LT' || parsed?.type === 'flotation') return LOAD_PRESSURE_TABLES.LT;
+    if (parsed?.category === 'C') return LOAD_PRESSURE_TABLES.C;
+    return parsed?.xl ? LOAD_PRESSURE_TABLES.XL : LOAD_PRESSURE_TABLES.SL;
+  }
+  // Linear interpolation between table rows, clamped to the table ends
+  function loadFactorAt(table, kpa) {
+    if (kpa <= table[0][0]) return table[0][1];
+    for (let i = 1; i < table.length; i++) {
+      const [p1, f1] = table[i], [p0, f0] = table[i - 1];
+      if (kpa <= p1) return f0 + (f1 - f0) * (kpa - p0) / (p1 - p0);
+    }
+    return 1;
+  }
+  // Lowest pressure carrying the given fraction; null above the rated load
+  function pressureForFactor(table, factor) {
+    if (factor > 1 + 1e-9) return null;
+    if (factor <= table[0][1]) return table[0][0];
+    for (let i = 1; i < table.length; i++) {
+      const [p1, f1] = table[i], [p0, f0] = table[i - 1];
+      if (factor <= f1) return p0 + (p1 - p0) * (factor - f0) / (f1 - f0);
+    }
+    return table[table.length - 1][0];
+  }
+  // Pressure a setup needs to carry what the baseline tire carries at the
+  // placard pressure of this axle. null without a placard or load indices.
+  function pressureCheck(base, setup) {
+    const placardKpa = base?.placardKpa;
+    const baseKg = loadCapacityKg(base?.tireParsed);
+    const kg = loadCapacityKg(setup?.tireParsed);
+    if (!(placardKpa > 0) || baseKg == null || kg == null) return null;
+    const loadKg = baseKg * loadFactorAt(loadPressureTable(base.tireParsed), placardKpa);
+    const table = loadPressureTable(setup.tireParsed);
+    const kpa = pressureForFactor(table, loadKg / kg);
+    const maxKpa = table[table.length - 1][0];
+    return { placardKpa, loadKg, kg, kpa, maxKpa, pass: kpa != null };
+  }
+
+  // Steering geometry from the wheel's move. Moving the wheel centerline
+  // outboard moves the contact patch out by the same amount (scrub radius and
+  // half the track grow); a taller tire drops the ground plane, where the
+  // inward-leaning steering axis meets it further out, so scrub shrinks by
+  // Δradius·tan(KPI). Scrub only applies to the steered (front) axle.
+  const SCRUB_WARN_MM = 10; // positive scrub growth: heavier steering, kickback
+  const SCRUB_BAD_MM = 25;  // torque steer, tramlining
+  function steeringCheck(base, cmp, axle = 'front') {
+    if (!base?.wheelGeom || !cmp?.wheelGeom || !base.tireGeom || !cmp.tireGeom) return null;
+    const centerMoveMm = base.wheelGeom.effectiveEt - cmp.wheelGeom.effectiveEt; // + = outboard
+    if (isNaN(centerMoveMm)) return null;
+    const res = { centerMoveMm, trackDeltaMm: 2 * centerMoveMm, scrubDeltaMm: null, scrubMm: null, level: null };
+    if (axle !== 'front') return res;
+    const radiusDeltaMm = (cmp.tireGeom.overallDiaMm - base.tireGeom.overallDiaMm) / 2;
+    const kpiShiftMm = isNaN(base.kpiDeg) ? 0 : radiusDeltaMm * Math.tan(base.kpiDeg * PI / 180);
+    res.scrubDeltaMm = centerMoveMm - kpiShiftMm;
+    if (!isNaN(base.scrubMm)) res.scrubMm = base.scrubMm + res.scrubDeltaMm;
+    res.level = res.scrubDeltaMm > SCRUB_BAD_MM ? 'bad' : (res.scrubDeltaMm > SCRUB_WARN_MM ? 'warn' : 'good');
+    return res;
+  }
+
+  // Lock & travel sweep. The static clearances only hold with the wheels
+  // straight at ride height; here the tire envelope (a cylinder: radius =
+  // OD/2, half-width = section width with bulge / 2) is swept through the
+  // steering lock and bump/droop travel against reference points fixed to
+  // the body, placed from the baseline measurements. Hub frame, baseline
+  // wheel straight ahead: x lateral (+ outboard, 0 = baseline wheel
+  // centerline), y up, z forward (mm).
+  //   strut:      inboard of the tire's inner face by the inner clearance
+  //   inner liner: radial gap above the inner shoulder, at a clock angle
+  //   fender lip: arch clearance above / outer clearance beside the outer
+  //               shoulder, at a clock angle
+  // Steering turns the wheel about a vertical axis through the steering
+  // axis at hub height (scrub + radius·tan KPI inboard); rear axles only
+  // see travel.
+  const SWEEP_WARN_MM = 10;
+  const SWEEP_STEP_DEG = 1;
+  const SWEEP_STEP_MM = 5;
+  const SWEEP_KPI_DEG = 13;   // used when the steering geometry is left empty
+  const SWEEP_SCRUB_MM = 10;
+  const SWEEP_POINTS = ['liner', 'strut', 'lip'];
+  function sweepPointLabel(key) {
+    if (key === 'liner') return t('sweep_pt_liner', 'Inner liner');
+    if (key === 'strut') return t('sweep_pt_strut', 'Strut');
+    return t('sweep_pt_lip', 'Fender lip');
+  }
+  function tireEnvelope(set) {
+    const g = set.tireGeom;
+    return { r: g.overallDiaMm / 2, hw: g.sectionWidthMm * (1 + (set.bulgePct || 0) / 100) / 2 };
+  }
+  function sweepPoints(base) {
+    const sw = base.sweep;
+    const { r, hw } = tireEnvelope(base);
+    const pts = [];
+    const onArc = (key, x, radius, deg) => {
+      const a = deg * PI / 180;
+      pts.push({ key, x, y: radius * Math.cos(a), z: radius * Math.sin(a) });
+    };
+    if (!isNaN(sw.linerGapMm)) onArc('liner', -hw, r + sw.linerGapMm, sw.linerAngleDeg || 0);
+    if (!isNaN(base.innerClearMm)) pts.push({ key: 'strut', x: -(hw + base.innerClearMm), y: sw.strutHeightMm || 0, z: 0 });
+    if (!isNaN(base.archClearMm)) onArc('lip', hw + (base.outerClearMm || 0), r + base.archClearMm, sw.lipAngleDeg || 0);
+    return pts;
+  }
+  function sweepClearance(base, cmp, axle = 'front') {
+    const sw = base?.sweep;
+    if (!sw || !base.tireGeom || !cmp?.tireGeom || !base.wheelGeom || !cmp.wheelGeom) return null;
+    const pts = sweepPoints(base);
+    if (!pts.length) return null;
+    const { r, hw } = tireEnvelope(cmp);
+    const cx = base.wheelGeom.effectiveEt - cmp.wheelGeom.effectiveEt; // setup centerline, + outboard
+    if (isNaN(cx)) return null;
+    const kpi = isNaN(base.kpiDeg) ? SWEEP_KPI_DEG : base.kpiDeg;
+    const scrub = isNaN(base.scrubMm) ? SWEEP_SCRUB_MM : base.scrubMm;
+    const xp = -(scrub + tireEnvelope(base).r * Math.tan(kpi * PI / 180)); // steering axis at hub height
+    const steerMax = axle === 'front' ? Math.max(0, sw.maxSteerDeg || 0) : 0;
+    const bump = Math.max(0, sw.bumpMm || 0), droop = Math.max(0, sw.droopMm || 0);
+
+    // Clearance of every point with the wheel steered by deg and moved up by travel
+    const at = (deg, travel) => {
+      const a = deg * PI / 180, ca = Math.cos(a), sa = Math.sin(a);
+      return pts.map(p => {
+        const dx = p.x - xp;
+        const xr = xp + dx * ca - p.z * sa;
+        const zr = dx * sa + p.z * ca;
+        const da = Math.abs(xr - cx) - hw;
+        const dr = Math.hypot(p.y - travel, zr) - r;
+        const value = (da > 0 && dr > 0) ? Math.hypot(da, dr) : Math.max(da, dr);
+        return { key: p.key, value };
+      });
+    };
+    const minOf = list => list.reduce((m, c) => (c.value < m.value ? c : m));
+
+    let worst = null;
+    for (let deg = -steerMax; deg <= steerMax + 1e-9; deg += SWEEP_STEP_DEG) {
+      for (let tr = -droop; tr <= bump + 1e-9; tr += SWEEP_STEP_MM) {
+        const m = minOf(at(deg, tr));
+        if (!worst || m.value < worst.value) worst = { ...m, steerDeg: deg, travelMm: tr };
+      }
+    }
+    // First contact: turning from straight ahead at ride height, then
+    // compressing/extending with the wheels straight (finer steps)
+    let contactSteerDeg = null, contactTravelMm = null;
+    for (let deg = 0; deg <= steerMax + 1e-9; deg += 0.5) {
+      if (minOf(at(deg, 0)).value < 0 || minOf(at(-deg, 0)).value < 0) { contactSteerDeg = deg; break; }
+    }
+    for (let tr = 0; tr <= Math.max(bump, droop) + 1e-9; tr += 1) {
+      if (tr <= bump && minOf(at(0, tr)).value < 0) { contactTravelMm = tr; break; }
+      if (tr <= droop && minOf(at(0, -tr)).value < 0) { contactTravelMm = -tr; break; }
+    }
+    const level = worst.value < 0 ? 'bad' : (worst.value < SWEEP_WARN_MM ? 'warn' : 'good');
+    return { worst, contactSteerDeg, contactTravelMm, steerMax, bump, droop, level, at };
+  }
+
+  // AWD rolling-circumference check. Full-time AWD couplings/centre diffs
+  // only tolerate a small front/rear circumference difference; a part-time
+  // 4WD only sees it while engaged (warn instead of fail).
+  const AWD_DRIVETRAINS = ['awd', '4wd'];
+  const AWD_TOL_PCT = 0.5;
+  const NEW_TREAD_MM = 8;     // typical new passenger tire
+  const NEW_TREAD_MM_LT = 12; // LT / C / flotation tires
+  function newTreadMm(parsed) {
+    return (parsed?.type === 'flotation' || ['LT', 'C'].includes(parsed?.category)) ? NEW_TREAD_MM_LT : NEW_TREAD_MM;
+  }
+  // Each mm of tread worn off takes 2 mm off the diameter
+  function wornCircumferenceMm(set, treadMm) {
+    if (!set?.tireGeom) return null;
+    const fresh = newTreadMm(set.tireParsed);
+    const worn = isNaN(treadMm) ? 0 : clamp(fresh - treadMm, 0, fresh);
+    return set.tireGeom.circumferenceMm - 2 * PI * worn;
+  }
+  function awdCheck(base, set) {
+    if (!base || !set?.tireGeom || !AWD_DRIVETRAINS.includes(base.drivetrain)) return null;
+    const frontMm = wornCircumferenceMm(set, set.treadMm);
+    const rearMm = wornCircumferenceMm(axleOf(set, 'rear'), set.treadRearMm);
+    if (frontMm == null || rearMm == null) return null;
+    const diffMm = frontMm - rearMm;
+    const diffPct = diffMm / rearMm * 100;
+    const tolPct = base.awdTolPct > 0 ? base.awdTolPct : AWD_TOL_PCT;
+    const over = Math.abs(diffPct) > tolPct;
+    const level = !over ? 'good' : (base.drivetrain === 'awd' ? 'bad' : 'warn');
+    return { frontMm, rearMm, diffMm, diffPct, tolPct, level };
+  }
+
+  // Hub fitment of a setup's wheel on the baseline hub:
+  //   bolt pattern  same hole count; up to WOBBLE_MAX_MM PCD difference can
+  //                 be taken up by eccentric (wobble) bolts
+  //   center bore   larger than the hub needs a hub-centric ring, smaller
+  //                 does not fit
+  //   seat          lug nuts/bolts must match the wheel's seat
+  const WOBBLE_MAX_MM = 3;
+  const BORE_TOL_MM = 0.1;
+  const SEAT_TYPES = { cone: 'Cone 60°', ball: 'Ball (radius)', flat: 'Flat (mag)' };
+  // "5x112", "5x114.3", "5x4.5" (inches), "4/100"
+  function parsePcd(raw) {
+    const m = String(raw || '').trim().toLowerCase().replace(/,/g, '.')
+      .match(/^(\d{1,2})\s*[x×\/-]\s*(\d+(?:\.\d+)?)$/);
+    if (!m) return null;
+    const v = parseFloat(m[2]);
+    return { holes: parseInt(m[1], 10), mm: v < 20 ? inToMm(v) : v, label: `${m[1]}x${m[2]}` };
+  }
+  // Metric "M14x1.5" or UNF "1/2-20"
+  function parseThread(raw) {
+    const s = String(raw || '').trim().toUpperCase().replace(/\s+/g, '');
+    let m = s.match(/^M(\d{1,2}(?:\.\d+)?)X(\d(?:\.\d+)?)$/);
+    if (m) return { label: `M${m[1]}x${m[2]}`, diaMm: parseFloat(m[1]), pitchMm: parseFloat(m[2]) };
+    m = s.match(/^(\d{1,2})\/(\d{1,2})"?-(\d{1,2})(?:UNF|UNC|UN)?$/);
+    if (m) return { label: `${m[1]}/${m[2]}-${m[3]}`, diaMm: inToMm(m[1] / m[2]), pitchMm: MM_PER_IN / m[3] };
+    return null;
+  }
+  function hubCheck(base, set) {
+    const bh = base?.hub, h = set?.hub;
+    if (!bh || !h) return null;
+    const res = { pcd: null, bore: null, seat: null };
+    if (bh.pcd && h.pcd) {
+      const diffMm = h.pcd.mm - bh.pcd.mm;
+      const status = (h.pcd.holes !== bh.pcd.holes || Math.abs(diffMm) > WOBBLE_MAX_MM) ? 'mismatch'
+        : (Math.abs(diffMm) > 0.05 ? 'wobble' : 'match');
+      res.pcd = { status, diffMm, level: { match: 'good', wobble: 'warn', mismatch: 'bad' }[status] };
+    }
+    if (bh.boreMm > 0 && h.boreMm > 0) {
+      const diffMm = h.boreMm - bh.boreMm;
+      const status = diffMm < -BORE_TOL_MM ? 'small' : (diffMm > BORE_TOL_MM ? 'ring' : 'hubcentric');
+      res.bore = { status, diffMm, wheelMm: h.boreMm, hubMm: bh.boreMm, level: { hubcentric: 'good', ring: 'warn', small: 'bad' }[status] };
+    }
+    if (bh.seat && h.seat) res.seat = { seat: h.seat, baseSeat: bh.seat, level: h.seat === bh.seat ? 'good' : 'warn' };
+    return res;
+  }
+
+  // Spacer advisor. Up to SLIP_ON_MAX_MM a slip-on spacer goes over the
+  // stock studs/bolts and eats its thickness in thread engagement, so the
+  // hardware has to grow by the same amount; thicker spacers are bolt-on
+  // (hub-centric adapter) types that fix to the hub with the stock
+  // hardware and carry their own studs. Engagement must stay at least one
+  // thread diameter and MIN_ENGAGEMENT_TURNS full turns (from the pitch).
+  // The thread length needed from the hub face is spacer + wheel seat
+  // thickness + that minimum; the seat thickness is typed in, or follows
+  // from the stock length and engagement (length - engagement - spacer).
+  const SLIP_ON_MAX_MM = 15;
+  const MIN_ENGAGEMENT_DIAMETERS = 1;
+  const MIN_ENGAGEMENT_TURNS = 8;
+  function minEngagementMm(thread) {
+    return Math.max(thread.diaMm * MIN_ENGAGEMENT_DIAMETERS, thread.pitchMm * MIN_ENGAGEMENT_TURNS);
+  }
+  function spacerAdvice(base, set) {
+    const spacerMm = set?.spacerMm || 0;
+    if (!(spacerMm > 0) || !base?.hub) return null;
+    const bh = base.hub;
+    const thread = set.hub?.thread || bh.thread;
+    const baseSpacerMm = base.spacerMm || 0;
+    const res = {
+      style: spacerMm > SLIP_ON_MAX_MM ? 'bolt_on' : 'slip_on', spacerMm, thread, lugType: bh.lugType,
+      minMm: null, minTurns: null, seatMm: null, engagementMm: null, extraMm: null, lengthMm: null,
+      protrudeMm: null, adapterStudMm: null, level: 'good'
+    };
+    if (thread) {
+      res.minMm = minEngagementMm(thread);
+      res.minTurns = res.minMm / thread.pitchMm;
+    }
+    // Wheel seat thickness: the setup's wheel, else the stock wheel's
+    // (typed, or what the stock hardware leaves after engagement and spacer)
+    const stockSeatMm = bh.seatDepthMm > 0 ? bh.seatDepthMm
+      : (bh.lugLenMm > 0 && bh.engagementMm > 0 ? bh.lugLenMm - bh.engagementMm - baseSpacerMm : null);
+    res.seatMm = set.hub?.seatDepthMm > 0 ? set.hub.seatDepthMm : (stockSeatMm > 0 ? stockSeatMm : null);
+
+    if (res.style === 'slip_on') {
+      // Baseline engagement and hardware length are measured with its own spacer
+      const deltaMm = spacerMm - baseSpacerMm;
+      res.extraMm = Math.max(0, deltaMm);
+      if (bh.lugLenMm > 0 && res.seatMm != null) res.engagementMm = bh.lugLenMm - res.seatMm - spacerMm;
+      else if (bh.engagementMm > 0) res.engagementMm = bh.engagementMm - deltaMm;
+      // Shortest hardware that still engages the minimum; without a seat
+      // thickness, the stock length grown by the spacer keeps the stock engagement
+      if (res.seatMm != null && res.minMm != null) res.lengthMm = spacerMm + res.seatMm + res.minMm;
+      else if (bh.lugLenMm > 0) res.lengthMm = bh.lugLenMm + res.extraMm;
+      if (res.engagementMm != null && res.minMm != null) res.level = res.engagementMm >= res.minMm ? 'good' : 'bad';
+      else res.level = 'warn'; // can't tell: check the thread left on the car
+      return res;
+    }
+    // Bolt-on: the car's studs must stay below the adapter's outer face or
+    // the wheel can't sit flat on it; the adapter's own studs need the wheel
+    // seat plus the minimum engagement
+    if (bh.lugType === 'nuts' && bh.lugLenMm > 0) res.protrudeMm = bh.lugLenMm - spacerMm;
+    if (res.seatMm != null && res.minMm != null) res.adapterStudMm = res.seatMm + res.minMm;
+    if (res.protrudeMm != null && res.protrudeMm > 0) res.level = 'bad';
+    else if (bh.lugType !== 'bolts' && res.protrudeMm == null) res.level = 'warn'; // stud length unknown
+    return res;
+  }
+  function spacerStyleLabel(adv) {
+    return adv.style === 'bolt_on' ? t('spacer_bolt_on', 'Bolt-on adapter') : t('spacer_slip_on', 'Slip-on');
+  }
+  // "studs" (lug nuts) or "bolts"; unknown fastener type reads "studs/bolts"
+  function lugHardwareLabel(lugType) {
+    if (lugType === 'bolts') return t('lug_bolts', 'bolts');
+    if (lugType === 'nuts') return t('lug_studs', 'studs');
+    return t('lug_studs_bolts', 'studs/bolts');
+  }
+  function pcdLabel(pcd) {
+    if (pcd.status === 'wobble') return t('hub_pcd_wobble', 'Wobble bolts ({diff} mm)', { diff: (pcd.diffMm >= 0 ? '+' : '') + pcd.diffMm.toFixed(1) });
+    if (pcd.status === 'mismatch') return t('hub_pcd_mismatch', 'PCD mismatch');
+    return t('hub_pcd_match', 'Match');
+  }
+  function boreLabel(bore) {
+    if (bore.status === 'ring') return t('hub_bore_ring', 'Hub ring {wheel}→{hub} mm', { wheel: bore.wheelMm, hub: bore.hubMm });
+    if (bore.status === 'small') return t('hub_bore_small', 'Bore too small ({diff} mm)', { diff: bore.diffMm.toFixed(1) });
+    return t('hub_bore_hubcentric', 'Hub-centric');
+  }
+
+  // Rotating mass per corner from the wheel and tire weights. Inertia model:
+  // the wheel is a shell at the rim (bead seat) radius holding most of its
+  // mass, plus spokes/hub as a uniform disc; the tire is a thick ring from
+  // the bead to the tread. Under acceleration each corner weighs its mass
+  // plus I / r² (r = rolling radius).
+  const RIM_SHELL_FRACTION = 0.6;
+  function rotatingMass(set) {
+    const wheelKg = set?.wheelKg, tireKg = set?.tireKg;
+    if (!(wheelKg > 0) || !(tireKg > 0) || !set.tireGeom || !(set.rimDiamIn > 0)) return null;
+    const rimR = inToMm(set.rimDiamIn) / 2 / 1000;      // m
+    const rollR = set.tireGeom.overallDiaMm / 2 / 1000; // m
+    const wheelI = wheelKg * rimR * rimR * (RIM_SHELL_FRACTION + (1 - RIM_SHELL_FRACTION) / 2);
+    const tireI = tireKg * (rollR * rollR + rimR * rimR) / 2;
+    const inertia = wheelI + tireI; // kg·m²
+    const massKg = wheelKg + tireKg;
+    return { massKg, inertia, eqKg: massKg + inertia / (rollR * rollR) };
+  }
+  // Per-corner changes against the baseline's same axle
+  function massCheck(base, set) {
+    const b = rotatingMass(base), m = rotatingMass(set);
+    if (!b || !m) return null;
+    return {
+      ...m,
+      massDeltaKg: m.massKg - b.massKg,
+      inertiaDeltaPct: (m.inertia / b.inertia - 1) * 100,
+      eqDeltaKg: m.eqKg - b.eqKg
+    };
+  }
+  // Whole-car equivalent mass change: two corners per axle
+  function vehicleMassDeltaKg(base, set) {
+    const front = massCheck(base, set), rear = massCheck(axleOf(base, 'rear'), axleOf(set, 'rear'));
+    if (!front || !rear) return null;
+    return 2 * (front.eqDeltaKg + rear.eqDeltaKg);
+  }
+
+  // Speed symbol as printed ("Y", "(Y)"), or ZR when only the construction rates it
+  function speedLabel(parsed) {
+    return parsed?.speedSymbol || (parsed?.construction === 'ZR' ? 'ZR' : '');
+  }
+
   // Rendering helpers
   function fmt(n, unit = '', digits = 1) {
     if (n == null || isNaN(n)) return '';
@@ -561,23 +1263,30 @@
   function renderComparison(base, setups, unitMode) {
     const wrap = $("#comparison");
     const rtl = isRtl() ? ' dir="rtl"' : '';
-    if (!base?.tireGeom) {
+    if (!base?.tireGeom || (base.rear && !base.rear.tireGeom)) {
       wrap.innerHTML = `<div class="small"${rtl}>${t('report_need_baseline', 'Enter and save a valid baseline to view results.')}</div>`;
       return;
     }
-    const valid = (setups || []).filter(s => s.tireGeom && s.wheelGeom);
+    const valid = (setups || []).filter(axlesValid);
     if (!valid.length) {
       wrap.innerHTML = `<div class="small"${rtl}>${t('report_need_setups', 'Add setups to compare.')}</div>`;
       return;
     }
-    // Baseline as first column, then each setup
+    // Baseline as first column, then each setup. With any staggered setup
+    // every section is reported per axle: each axle is compared against the
+    // baseline's same axle (a square setup or baseline stands in for both).
     const allSets = [base, ...valid];
-    const cols = allSets.map(s => ({ s, cmp: compareSetups(base, s), checks: clearanceChecks(base, s, { inner: 3, outer: 3 }) }));
+    const axles = allSets.some(hasRearAxle) ? ['front', 'rear'] : ['front'];
+    const colsByAxle = axles.map(axle => allSets.map(set => {
+      const b = axleOf(base, axle), s = axleOf(set, axle);
+      return { axle, s, base: b, cmp: compareSetups(b, s), checks: clearanceChecks(b, s, { inner: 3, outer: 3 }) };
+    }));
+    const cols = colsByAxle.flat();
 
     // Main header row on top (outside the section tables)
     const headCells = allSets.map((s, i) => {
       const name = i === 0 ? 'Baseline' : `Setup ${i}`;
-      return `<th>${name}<div class="report-col-sub">${tireLabel(s)}</div></th>`;
+      return `<th>${name}<div class="report-col-sub">${setupLabel(s)}</div></th>`;
     }).join('');
     const headHtml = `<div class="report-head-wrap"><table class="report-table"><thead><tr><th></th>${headCells}</tr></thead></table></div>`;
 
@@ -589,15 +1298,21 @@
 
     // defs: [label, desc, (col) => cellHtml | null]
     const descDir = rtlAttr();
-    function sectionTable(defs) {
+    const axleNames = { front: 'Front axle', rear: 'Rear axle' };
+    // perAxle = false: rows that compare a setup's axles with each other,
+    // shown once per setup (cols of the front pass carry the whole setup)
+    function sectionTable(defs, perAxle = true) {
       let html = '<table class="report-table"><tbody>';
-      for (const [label, desc, fn] of defs) {
-        const cells = cols.map(fn);
-        if (cells.every(v => v == null)) continue; // hide rows with no data at all
-        html += `<tr><td class="report-label">${label}<div class="report-desc"${descDir}>${desc}</div></td>`
-          + cells.map(v => `<td class="report-value">${v ?? ''}</td>`).join('')
-          + '</tr>';
-      }
+      (perAxle ? axles : ['front']).forEach((axle, ai) => {
+        if (perAxle && axles.length > 1) html += `<tr class="report-axle"><td colspan="${allSets.length + 1}">${axleNames[axle]}</td></tr>`;
+        for (const [label, desc, fn] of defs) {
+          const cells = colsByAxle[ai].map(fn);
+          if (cells.every(v => v == null)) continue; // hide rows with no data at all
+          html += `<tr><td class="report-label">${label}<div class="report-desc"${descDir}>${desc}</div></td>`
+            + cells.map(v => `<td class="report-value">${v ?? ''}</td>`).join('')
+            + '</tr>';
+        }
+      });
       return html + '</tbody></table>';
     }
 
@@ -609,7 +1324,7 @@
         c => displayDeltaSmart(-c.cmp.rideHeightDeltaMm, unitMode, 'mm')],
       ['Final Wheel Arch Clearance', t('rep_arch_final_desc', 'Remaining gap between tire and wheel arch. Under 20 mm is tight, under 10 mm risks rubbing'),
         c => {
-          const arch = archClearance(base, c.s);
+          const arch = archClearance(c.base, c.s);
           if (!arch) return null;
           return markLevel(displayLengthSmart(arch.value, unitMode, 'mm'), arch.level);
         }],
@@ -625,6 +1340,23 @@
           const v = displayDeltaSmart(-c.cmp.outerMoveMm, unitMode, 'mm');
           return c.checks.outer ? mark(v, c.checks.outer.pass) : v;
         }],
+      ['Track Width Change', t('rep_track_change_desc', 'Change in track width across the axle (both wheels). Positive = wider'),
+        c => {
+          const st = steeringCheck(c.base, c.s, c.axle);
+          return st ? displayDeltaSmart(st.trackDeltaMm, unitMode, 'mm') : null;
+        }],
+      ['Scrub Radius Change', t('rep_scrub_change_desc', 'Change in steering scrub radius. Large positive changes cause torque steer and heavier steering'),
+        c => {
+          const st = steeringCheck(c.base, c.s, c.axle);
+          if (st?.scrubDeltaMm == null) return null;
+          return markLevel(displayDeltaSmart(st.scrubDeltaMm, unitMode, 'mm'), st.level);
+        }],
+      ['Final Scrub Radius', t('rep_scrub_final_desc', 'Scrub radius at the ground. Positive = contact patch outboard of the steering axis'),
+        c => {
+          const st = steeringCheck(c.base, c.s, c.axle);
+          if (st?.scrubMm == null) return null;
+          return markLevel(displayDeltaSmart(st.scrubMm, unitMode, 'mm'), st.level);
+        }],
       ['Final Outer Clearance', t('rep_outer_final_desc', 'Clearance from the fender. Positive = out of fender line'),
         c => {
           if (!c.checks.outer) return null;
@@ -635,17 +1367,61 @@
         c => sign(-c.cmp.speedoErrPct, ' %')],
       ['Final Speedometer Error', t('rep_speedo_final_desc', 'Speedometer reading error. Negative = reads slower than actual'),
         c => {
-          const f = -c.cmp.speedoErrPct + (base.baseSpeedoError || 0);
+          const f = -c.cmp.speedoErrPct + (c.base.baseSpeedoError || 0);
           return markLevel(sign(f, ' %'), speedoErrorLevel(f));
         }]
     ];
 
+    // --- AWD front/rear circumference (part of Fitment Differences) ---
+    const awdDefs = [
+      ['AWD Circumference Mismatch', t('rep_awd_desc', 'Front vs rear rolling circumference, including tread wear. Allowed ±{tol} %',
+        { tol: (base.awdTolPct > 0 ? base.awdTolPct : AWD_TOL_PCT) }),
+        c => {
+          const awd = awdCheck(c.base, c.s);
+          if (!awd) return null;
+          return markLevel(`${sign(awd.diffPct, ' %', 2)} · ${displayDeltaSmart(awd.diffMm, unitMode, 'mm')}`, awd.level);
+        }]
+    ];
+
+    // --- Rotating mass (part of Fitment Differences, when weights are given) ---
+    const massDefs = [
+      ['Unsprung Mass Change', t('rep_unsprung_desc', 'Change in wheel + tire weight per corner'),
+        c => {
+          const m = massCheck(c.base, c.s);
+          return m ? `${displayLoad(m.massKg, unitMode)} · ${displayLoadDelta(m.massDeltaKg, unitMode)}` : null;
+        }],
+      ['Rotational Inertia', t('rep_inertia_desc', 'Approximate moment of inertia of one wheel and tire (rim shell + tire ring)'),
+        c => {
+          const m = massCheck(c.base, c.s);
+          return m ? `${m.inertia.toFixed(2)} kg·m² · ${sign(m.inertiaDeltaPct, ' %', 0)}` : null;
+        }],
+      ['Equivalent Mass Change', t('rep_eq_mass_desc', 'Extra mass the engine feels per corner when accelerating: weight change plus rotational inertia'),
+        c => {
+          const m = massCheck(c.base, c.s);
+          return m ? displayLoadDelta(m.eqDeltaKg, unitMode) : null;
+        }]
+    ];
+    const vehicleMassDefs = [
+      ['Vehicle Equivalent Mass Change', t('rep_eq_mass_vehicle_desc', 'All four corners: the acceleration of a car this much heavier'),
+        c => {
+          const kg = vehicleMassDeltaKg(c.base, c.s);
+          return kg == null ? null : displayLoadDelta(kg, unitMode);
+        }]
+    ];
+    const hasMass = cols.some(c => massCheck(c.base, c.s));
+
     // --- Wheel Geometry (collapsible) ---
     const wheelDefs = [
       ['Wheel Width', t('rep_wheel_width_desc', 'Rim width'),
         c => displayLengthSmart(inToMm(c.s.rimWidthIn), unitMode, 'in')],
       ['Wheel Diameter', t('rep_wheel_diam_desc', 'Rim diameter'),
         c => displayLengthSmart(inToMm(c.s.rimDiamIn), unitMode, 'in')],
+      ['Rim Width Fit', t('rep_rim_fit_desc', 'Rim width vs the approved range for the tire (ETRTO/TRA). Stretched = rim too wide for the tire'),
+        c => {
+          const fit = rimFitCheck(c.s);
+          if (!fit) return null;
+          return markLevel(`${rimFitLabel(fit)} · ${fit.minIn}–${fit.maxIn}"`, fit.level);
+        }],
       ['Offset', t('rep_offset_desc', 'Distance from wheel centerline to mounting face. Positive = wheel sits further inward'),
         c => displayLengthSmart(c.s.etMm, unitMode, 'mm')],
       ['Backspacing', t('rep_backspacing_desc', 'Distance from hub mounting face to inner wheel lip'),
@@ -673,15 +1449,128 @@
           : `${(1000000 / c.s.tireGeom.circumferenceMm).toFixed(0)} RpK`]
     ];
 
+    // --- Load & Speed Rating (collapsible, only when sizes carry a service description) ---
+    const ratingDefs = [
+      ['Load Index', t('rep_load_index_desc', 'Load index from the sidewall (single/dual for LT and C tires)'),
+        c => {
+          const p = c.s.tireParsed;
+          if (p?.loadIndex == null) return null;
+          return `${p.loadIndex}${p.loadIndexDual != null ? '/' + p.loadIndexDual : ''}${p.xl ? ' XL' : ''}${p.rf ? ' RF' : ''}`;
+        }],
+      ['Load Capacity', t('rep_load_capacity_desc', 'Maximum load per tire. Red = carries less than the baseline'),
+        c => {
+          const kg = loadCapacityKg(c.s.tireParsed);
+          if (kg == null) return null;
+          const load = ratingCheck(c.base, c.s).load;
+          const v = displayLoad(kg, unitMode);
+          return load ? mark(v, load.pass) : v;
+        }],
+      ['Max Speed', t('rep_max_speed_desc', 'Maximum speed allowed by the speed rating. Red = lower than the baseline'),
+        c => {
+          const p = c.s.tireParsed;
+          if (p?.speedKmh == null) return null;
+          const speed = ratingCheck(c.base, c.s).speed;
+          const v = `${speedLabel(p)} · ${displaySpeed(p.speedKmh, unitMode, p.speedAbove)}`;
+          return speed ? mark(v, speed.pass) : v;
+        }],
+      ['Required Pressure', t('rep_pressure_desc', 'Minimum inflation to carry the load the baseline tire carries at the placard pressure (ETRTO/TRA tables). Red = cannot carry it even at the maximum load pressure'),
+        c => {
+          const pr = pressureCheck(c.base, c.s);
+          if (!pr) return null;
+          if (pr.pass) return mark(displayPressure(pr.kpa, unitMode), true);
+          return mark(`${t('pressure_unreachable', 'Not reachable')} · ${displayLoad(pr.kg, unitMode)} @ ${displayPressure(pr.maxKpa, unitMode)}`, false);
+        }]
+    ];
+    // --- Hub & Bolt Fitment (collapsible, when hub specs are entered) ---
+    const hubDefs = [
+      ['Bolt Pattern', t('rep_pcd_desc', 'Wheel PCD vs the hub. Small differences need wobble (eccentric) bolts'),
+        c => {
+          const hub = hubCheck(c.base, c.s);
+          return hub?.pcd ? markLevel(`${c.s.hub.pcd.label} · ${pcdLabel(hub.pcd)}`, hub.pcd.level) : null;
+        }],
+      ['Center Bore', t('rep_bore_desc', 'Wheel center bore vs the hub. Larger bores need a hub-centric ring'),
+        c => {
+          const hub = hubCheck(c.base, c.s);
+          return hub?.bore ? markLevel(`${c.s.hub.boreMm} mm · ${boreLabel(hub.bore)}`, hub.bore.level) : null;
+        }],
+      ['Seat Type', t('rep_seat_desc', 'Lug seat of the wheel. Amber = different lug nuts/bolts needed'),
+        c => {
+          const hub = hubCheck(c.base, c.s);
+          return hub?.seat ? markLevel(SEAT_TYPES[hub.seat.seat] || hub.seat.seat, hub.seat.level) : null;
+        }],
+      ['Spacer Type', t('rep_spacer_type_desc', 'Slip-on up to {max} mm; thicker spacers should be bolt-on hub-centric adapters', { max: SLIP_ON_MAX_MM }),
+        c => {
+          const adv = spacerAdvice(c.base, c.s);
+          return adv ? `${spacerStyleLabel(adv)} · ${displayLengthSmart(adv.spacerMm, unitMode, 'mm')}` : null;
+        }],
+      ['Car Stud Protrusion', t('rep_stud_protrusion_desc', 'How far the car\u2019s studs reach past a bolt-on adapter\u2019s outer face. Must be below 0 or the wheel won\u2019t sit flat'),
+        c => {
+          const adv = spacerAdvice(c.base, c.s);
+          if (adv?.style !== 'bolt_on' || adv.protrudeMm == null) return null;
+          return markLevel(displayDeltaSmart(adv.protrudeMm, unitMode, 'mm'), adv.protrudeMm > 0 ? 'bad' : 'good');
+        }],
+      ['Thread Engagement', t('rep_engagement_desc', 'Thread left engaged with a slip-on spacer fitted; keep at least one thread diameter and {turns} turns', { turns: MIN_ENGAGEMENT_TURNS }),
+        c => {
+          const adv = spacerAdvice(c.base, c.s);
+          if (adv?.style !== 'slip_on' || adv.minMm == null) return null;
+          const need = `≥ ${adv.minMm.toFixed(0)} mm (${adv.minTurns.toFixed(1)} ${t('hub_turns', 'turns')})`;
+          return adv.engagementMm != null ? markLevel(`${adv.engagementMm.toFixed(0)} mm · ${need}`, adv.level) : need;
+        }],
+      ['Stud/Bolt Length', t('rep_lug_length_desc', 'Minimum thread length from the hub face: spacer + wheel seat + the minimum engagement. Bolt-on: the adapter\u2019s own studs'),
+        c => {
+          const adv = spacerAdvice(c.base, c.s);
+          if (adv?.style === 'bolt_on') {
+            return adv.adapterStudMm != null ? `≥ ${adv.adapterStudMm.toFixed(0)} mm ${t('lug_studs', 'studs')}` : null;
+          }
+          if (adv?.style !== 'slip_on') return null;
+          const extra = `+${adv.extraMm.toFixed(0)} mm`;
+          return adv.lengthMm != null ? `≥ ${adv.lengthMm.toFixed(0)} mm ${lugHardwareLabel(adv.lugType)} (${extra})` : `${extra} ${lugHardwareLabel(adv.lugType)}`;
+        }]
+    ];
+    const hasHub = cols.some(c => { const h = hubCheck(c.base, c.s); return spacerAdvice(c.base, c.s) || (h && (h.pcd || h.bore || h.seat)); });
+
+    // --- Lock & Travel Sweep (collapsible, only when the simulation is on) ---
+    const sweepDefs = [
+      ['Worst-Case Clearance', t('rep_sweep_worst_desc', 'Smallest gap to the liner, strut or fender lip anywhere in the steering and suspension sweep'),
+        c => {
+          const sim = sweepClearance(c.base, c.s, c.axle);
+          if (!sim) return null;
+          const w = sim.worst;
+          return markLevel(`${displayLengthSmart(w.value, unitMode, 'mm')} · ${sweepPointLabel(w.key)} @ ${w.steerDeg}° / ${sign(w.travelMm, ' mm', 0)}`, sim.level);
+        }],
+      ['First Contact (Steering)', t('rep_sweep_steer_desc', 'Steering angle where the tire first touches, wheels at ride height'),
+        c => {
+          const sim = sweepClearance(c.base, c.s, c.axle);
+          if (!sim || !sim.steerMax) return null;
+          return sim.contactSteerDeg == null
+            ? mark(t('sweep_no_contact', 'No contact'), true)
+            : mark(`${sim.contactSteerDeg}°`, false);
+        }],
+      ['First Contact (Travel)', t('rep_sweep_travel_desc', 'Suspension travel where the tire first touches, wheels straight. Positive = bump'),
+        c => {
+          const sim = sweepClearance(c.base, c.s, c.axle);
+          if (!sim) return null;
+          return sim.contactTravelMm == null
+            ? mark(t('sweep_no_contact', 'No contact'), true)
+            : mark(displayDeltaSmart(sim.contactTravelMm, unitMode, 'mm'), false);
+        }]
+    ];
+    const hasSweep = !!base.sweep;
+
+    const hasRatings = cols.some(c => c.s.tireParsed?.loadIndex != null || c.s.tireParsed?.speedKmh != null);
+
     // Restore open/closed state: current DOM wins (mid-session), else saved state (reload)
     const openState = loadReportOpen();
     wrap.querySelectorAll('details.report-section[data-key]').forEach(d => { openState[d.dataset.key] = d.open; });
 
     wrap.innerHTML = `
       ${headHtml}
-      <section class="report-section"><h3 class="report-title">Fitment Differences</h3>${sectionTable(diffDefs)}</section>
+      <section class="report-section"><h3 class="report-title">Fitment Differences</h3>${sectionTable(diffDefs)}${AWD_DRIVETRAINS.includes(base.drivetrain) ? sectionTable(awdDefs, false) : ''}${hasMass ? sectionTable(massDefs) + sectionTable(vehicleMassDefs, false) : ''}</section>
       <details class="report-section" data-key="wheel"${openState.wheel ? ' open' : ''}><summary class="report-title">Wheel Geometry</summary>${sectionTable(wheelDefs)}</details>
       <details class="report-section" data-key="tire"${openState.tire ? ' open' : ''}><summary class="report-title">Tire Geometry</summary>${sectionTable(tireDefs)}</details>
+      ${hasHub ? `<details class="report-section" data-key="hub"${openState.hub ? ' open' : ''}><summary class="report-title">Hub &amp; Bolt Fitment</summary>${sectionTable(hubDefs)}</details>` : ''}
+      ${hasSweep ? `<details class="report-section" data-key="sweep"${openState.sweep ? ' open' : ''}><summary class="report-title">Lock &amp; Travel Sweep</summary>${sectionTable(sweepDefs)}</details>` : ''}
+      ${hasRatings ? `<details class="report-section" data-key="rating"${openState.rating ? ' open' : ''}><summary class="report-title">Load &amp; Speed Rating</summary>${sectionTable(ratingDefs)}</details>` : ''}
     `;
     saveReportOpen(openState);
     wrap.querySelectorAll('details.report-section[data-key]').forEach(d => {
@@ -727,6 +1616,43 @@
     return `${sign}${mm.toFixed(0)} mm`;
   }
 
+  // Tire load per unit mode; international shows both since load indices are
+  // rated in kg while US placards quote lb.
+  function displayLoad(kg, unitMode) {
+    if (kg == null || isNaN(kg)) return '';
+    const lb = kg / KG_PER_LB;
+    if (unitMode === 'metric') return `${kg.toFixed(0)} kg`;
+    if (unitMode === 'imperial') return `${lb.toFixed(0)} lb`;
+    return `${kg.toFixed(0)} kg (${lb.toFixed(0)} lb)`;
+  }
+  function displayLoadDelta(kg, unitMode) {
+    if (kg == null || isNaN(kg)) return '';
+    const sign = kg >= 0 ? '+' : '';
+    const lb = kg / KG_PER_LB;
+    if (unitMode === 'metric') return `${sign}${kg.toFixed(1)} kg`;
+    if (unitMode === 'imperial') return `${sign}${lb.toFixed(1)} lb`;
+    return `${sign}${kg.toFixed(1)} kg (${sign}${lb.toFixed(1)} lb)`;
+  }
+  // Speed in km/h, or mph in imperial mode; `above` marks open-ended ratings
+  function displaySpeed(kmh, unitMode, above) {
+    if (kmh == null || isNaN(kmh)) return '';
+    const gt = above ? '>' : '';
+    if (unitMode === 'imperial') return `${gt}${(kmh / KM_PER_MI).toFixed(0)} mph`;
+    return `${gt}${kmh.toFixed(0)} km/h`;
+  }
+
+  // Inflation pressure: bar, psi in imperial mode, both in international
+  // (placards quote either). Rounded up so a minimum is never undershot.
+  const pressureBar = kpa => (Math.ceil(kpa / KPA_PER_BAR * 10 - 1e-6) / 10).toFixed(1);
+  const pressurePsi = kpa => Math.ceil(kpa / KPA_PER_PSI - 1e-6).toFixed(0);
+  function displayPressure(kpa, unitMode) {
+    if (kpa == null || isNaN(kpa)) return '';
+    const bar = pressureBar(kpa), psi = pressurePsi(kpa);
+    if (unitMode === 'metric') return `${bar} bar`;
+    if (unitMode === 'imperial') return `${psi} psi`;
+    return `${bar} bar (${psi} psi)`;
+  }
+
   // Visualizations using canvas
 
   // Design (logical) canvas size — all drawing code works in these units.
@@ -737,10 +1663,13 @@
   // (CSS size x devicePixelRatio) so lines and the hub image stay sharp
   // when the page is zoomed or on high-DPI screens. Drawing code keeps
   // using logical 560x320 units via the applied transform.
+  // While reportScale is set (see reportDrawings) the canvases are drawn at
+  // that multiple of the logical size instead, for print-quality images.
+  let reportScale = 0;
   function prepareCanvas(cv) {
     const rect = cv.getBoundingClientRect();
-    const cssW = rect.width || cv.clientWidth || CANVAS_W;
-    const dpr = window.devicePixelRatio || 1;
+    const cssW = reportScale ? CANVAS_W : (rect.width || cv.clientWidth || CANVAS_W);
+    const dpr = reportScale || window.devicePixelRatio || 1;
     const w = Math.max(1, Math.round(cssW * dpr));
     const h = Math.max(1, Math.round(cssW * (CANVAS_H / CANVAS_W) * dpr));
     if (cv.width !== w) cv.width = w;
@@ -756,7 +1685,9 @@
   let sideViewHits = []; // clickable wheel circles from the last side-view draw
   let sideViewFenderHits = []; // clickable fender rects from the last side-view draw
 
-  function drawSideView(base, selected, unitMode) {
+  // pose: {steerDeg, travelMm, sim} — one frame of the lock & travel sweep
+  // applied to the setup wheel (see animateSweep)
+  function drawSideView(base, selected, unitMode, pose = null) {
     const c = $("#sideView");
     const ctx = prepareCanvas(c);
     const W = CANVAS_W, H = CANVAS_H;
@@ -772,7 +1703,7 @@
     // Fender visibility: toggle + image ready + arch clearance provided.
     // When fenders are shown, zoom out to 50% and spread the tires apart so
     // the two fender drawings fit side by side without overlapping.
-    const archClearMm = parseFloat($("#base_arch_clear")?.value);
+    const archClearMm = base.archClearMm;
     const fenderChecked = document.getElementById('sv_show_fender')?.checked ?? true;
     // Usable fender entry: the selected file, falling back to the default
     // one while the selection (image or its circle geometry) is still
@@ -818,11 +1749,19 @@
     }
 
     // Vector wheel side profile (line-art style: treaded tire + spoked rim)
-    function drawTire(set, x, color, slot) {
+    function drawTire(set, x, color, slot, pose) {
       const r = (set.tireGeom.overallDiaMm / 2) * scale;
       const rimR = (set.tireGeom.rim_in * MM_PER_IN / 2) * scale;
-      const cx = x, cy = H - margin - r;
+      // Sweep pose: bump lifts the wheel into the arch; a steered wheel is
+      // seen edge-on, so its side profile narrows by cos(angle)
+      const cx = x, cy = H - margin - r - (pose ? pose.travelMm * scale : 0);
       sideViewHits.push({ slot, cx, cy, r }); // click target for rim cycling
+      ctx.save();
+      if (pose?.steerDeg) {
+        ctx.translate(cx, cy);
+        ctx.scale(Math.max(Math.cos(pose.steerDeg * PI / 180), 0.05), 1);
+        ctx.translate(-cx, -cy);
+      }
 
       ctx.strokeStyle = color;
 
@@ -892,9 +1831,25 @@
       ctx.strokeStyle = '#000';
       ctx.lineWidth = 1;
       ctx.beginPath(); ctx.arc(cx, cy, rimR, 0, 2 * PI); ctx.stroke();
+      ctx.restore();
       ctx.strokeStyle = color;
     }
 
+    // Sweep reference points around the setup wheel (body-fixed, placed at
+    // ride height), colored by their clearance in the current pose
+    function drawSweepPoints(set, x, pose) {
+      const cy = H - margin - (set.tireGeom.overallDiaMm / 2) * scale;
+      const values = pose.sim.at(pose.steerDeg, pose.travelMm);
+      sweepPoints(base).forEach((p, i) => {
+        const v = values[i].value;
+        ctx.fillStyle = v < 0 ? '#ef4444' : (v < SWEEP_WARN_MM ? '#f59e0b' : '#22c55e');
+        ctx.beginPath(); ctx.arc(x + p.z * scale, cy - p.y * scale, 4, 0, 2 * PI); ctx.fill();
+      });
+      ctx.fillStyle = '#888';
+      ctx.font = '12px system-ui, sans-serif';
+      ctx.fillText(`${t('sweep_lock', 'Lock')} ${pose.steerDeg.toFixed(0)}° · ${t('sweep_travel', 'Travel')} ${pose.travelMm >= 0 ? '+' : ''}${pose.travelMm.toFixed(0)} mm`, margin, margin);
+    }
+
     // Ground line
     ctx.strokeStyle = '#444';
     ctx.lineWidth = 1;
@@ -904,8 +1859,64 @@
     ctx.stroke();
 
     drawTire(base, baseX, '#4aa3ff', 0);
-    drawTire(selected, setupX, '#22c55e', 1);
+    drawTire(selected, setupX, '#22c55e', 1, pose);
+    if (pose) drawSweepPoints(selected, setupX, pose);
+  }
+
+  // Animate the lock & travel sweep in the side view: lock to one side and
+  // the other at ride height, then bump and droop with the wheels straight.
+  // Restarted by every renderAll; plays SWEEP_CYCLES times and settles at
+  // rest, pauses while the side view is off screen, and stops when the
+  // simulation is off.
+  const SWEEP_PERIOD_MS = 8000;
+  const SWEEP_CYCLES = 3;
+  let sweepRaf = null;
+  let sweepRun = null; // {base, selected, unitMode, sim, elapsedMs} while cycles are left
+  let sweepVisible = true;
+  function sweepPose(sim, u) {
+    const w = Math.sin(4 * PI * u); // two half-cycles: steering, then travel
+    if (u < 0.5) return { sim, steerDeg: w * sim.steerMax, travelMm: 0 };
+    return { sim, steerDeg: 0, travelMm: w >= 0 ? w * sim.bump : w * sim.droop };
+  }
+  function stopSweep() {
+    if (sweepRaf) cancelAnimationFrame(sweepRaf);
+    sweepRaf = null;
+  }
+  function playSweep() {
+    const run = sweepRun;
+    if (!run || sweepRaf) return;
+    let last = null;
+    const frame = (now) => {
+      if (last != null) run.elapsedMs += now - last;
+      last = now;
+      const done = run.elapsedMs >= SWEEP_CYCLES * SWEEP_PERIOD_MS;
+      drawSideView(run.base, run.selected, run.unitMode, sweepPose(run.sim, done ? 0 : (run.elapsedMs / SWEEP_PERIOD_MS) % 1));
+      if (done) {
+        sweepRaf = null;
+        sweepRun = null;
+        return;
+      }
+      sweepRaf = requestAnimationFrame(frame);
+    };
+    sweepRaf = requestAnimationFrame(frame);
   }
+  function animateSweep(base, selected, unitMode, axle) {
+    stopSweep();
+    sweepRun = null;
+    const sim = sweepClearance(base, selected, axle);
+    if (!sim || typeof requestAnimationFrame !== 'function') return;
+    sweepRun = { base, selected, unitMode, sim, elapsedMs: 0 };
+    if (sweepVisible) playSweep();
+  }
+  (function () {
+    const c = $("#sideView");
+    if (!c || typeof IntersectionObserver !== 'function') return;
+    new IntersectionObserver(entries => {
+      sweepVisible = entries[entries.length - 1].isIntersecting;
+      if (sweepVisible) playSweep();
+      else stopSweep();
+    }).observe(c);
+  })();
 
   // Click a wheel in the side view to cycle its rim drawing; click the fender
   // artwork around it to cycle BOTH fender drawings together, wrapping to
@@ -1006,7 +2017,13 @@
     // Per-setup tire bulge as fraction of section width (input %, default 5, max 10)
     function bulgeFrac(set) {
       const p = (set.bulgePct != null && !isNaN(set.bulgePct)) ? set.bulgePct : 5;
-      return clamp(p, 0, 20) / 100;
+      // Off-range rims: a stretched tire's sidewalls pull straight, a tire
+      // too wide for its rim balloons out
+      const fit = rimFitCheck(set);
+      let k = 1;
+      if (fit?.status === 'stretched') k = Math.max(0, 1 - fit.offIn);
+      else if (fit?.status === 'too_wide') k = 1 + fit.offIn;
+      return clamp(p * k, 0, 20) / 100;
     }
 
     // Helper to get rim diameter in mm (prefer explicit wheel input)
@@ -1071,7 +2088,8 @@
       ctx.save();
       ctx.imageSmoothingEnabled = true;
       // In dark theme, invert only the hub image to improve contrast
-      const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+      // (report images are printed on white, so never there)
+      const isDark = !reportScale && document.documentElement.getAttribute('data-theme') === 'dark';
       if (isDark) ctx.filter = 'invert(1)';
       try {
         ctx.drawImage(hubImg, xImg, yImg, targetW, targetH);
@@ -1081,7 +2099,18 @@
       ctx.restore();
     }
 
+    // Each wheel is tilted by its camber about the hub (negative = top
+    // inward); the strut/fender references stay upright
     function drawWheelRect(set, color) {
+      ctx.save();
+      ctx.translate(hubFaceX, y);
+      ctx.rotate(camberOf(base, set) * PI / 180);
+      ctx.translate(-hubFaceX, -y);
+      drawWheelShape(set, color);
+      ctx.restore();
+    }
+
+    function drawWheelShape(set, color) {
       const innerMm = set.wheelGeom.backspacingMm;
       const outerMm = set.wheelGeom.frontspacingMm;
 
@@ -1220,7 +2249,7 @@
     let xFenderLabel = null;
 
     // Strut reference derived from baseline inner edge and baseline inner clearance input
-    const baseInnerClearMm = parseFloat($("#base_inner_clear").value);
+    const baseInnerClearMm = base.innerClearMm;
     if (showRefs && !isNaN(baseInnerClearMm)) {
       const xBaseInner = hubFaceX - base.wheelGeom.backspacingMm * scale; // baseline inner wheel edge
       const xStrut = xBaseInner - baseInnerClearMm * scale; // vehicle strut position (fixed)
@@ -1235,7 +2264,7 @@
     }
 
     // Fender reference derived from baseline outer edge and baseline outer clearance input
-    const baseOuterClearMm = parseFloat($("#base_outer_clear").value);
+    const baseOuterClearMm = base.outerClearMm;
     if (showRefs && !isNaN(baseOuterClearMm)) {
       const xBaseOuter = hubFaceX + base.wheelGeom.frontspacingMm * scale; // baseline outer wheel edge
       const xFender = xBaseOuter + baseOuterClearMm * scale; // vehicle fender position (fixed)
@@ -1307,29 +2336,99 @@
   }
 
 
+  // Per-axle input suffixes (<prefix>_<suffix>) of a wheel/tire spec; the
+  // baseline also carries the vehicle clearances measured at that wheel.
+  const AXLE_FIELDS = ['rim_diam', 'rim_width', 'offset', 'spacer', 'tire', 'correction', 'bulge', 'load_index', 'load_type', 'wheel_weight', 'tire_weight'];
+  const CLEAR_FIELDS = ['inner_clear', 'outer_clear', 'arch_clear'];
+  // Lock & travel sweep settings (baseline only)
+  const SWEEP_FIELDS = ['max_steer', 'bump', 'droop', 'strut_height', 'liner_gap', 'liner_angle', 'lip_angle'];
+  // Remaining tread depth and static camber, front and rear (outside the
+  // rear block: square setups have both)
+  const PER_AXLE_FIELDS = ['tread', 'tread_rear', 'camber', 'camber_rear'];
+  // Bolt pattern, center bore, lug thread, seat and seat thickness (the hub on the
+  // baseline, the wheel and its hardware on setups; same on both axles)
+  const HUB_FIELDS = ['pcd', 'bore', 'thread', 'seat', 'seat_depth'];
+  // Current lug hardware (baseline only)
+  const HUB_BASE_FIELDS = ['engagement', 'lug_type', 'lug_len'];
+  // Width/offset solver panel inputs (solver_<suffix>)
+  const SOLVER_FIELDS = ['width_min', 'width_max', 'et_min', 'et_max', 'et_step', 'spacer', 'flush_width', 'flush_et', 'target'];
+
+  // Load type picker; empty = the XL marking (or not) in the tire size
+  function loadTypeSelectHtml(id) {
+    return `<select id="${id}"><option value="">From size</option><option value="SL">SL (standard load)</option><option value="XL">XL (extra load)</option></select>`;
+  }
+
+  function seatSelectHtml(id) {
+    return `<select id="${id}"><option value="">—</option>${Object.entries(SEAT_TYPES).map(([v, label]) => `<option value="${v}">${label}</option>`).join('')}</select>`;
+  }
+
+  // Wheel + tire field columns for one axle of a setup card
+  function axleFieldsHtml(prefix) {
+    return `
+      <div class="grid two">
+        <div>
+          <div class="field"><label>Rim diameter<input id="${prefix}_rim_diam" type="number" step="0.1" placeholder="in"></label></div>
+          <div class="field"><label>Rim width<input id="${prefix}_rim_width" type="number" step="1" placeholder="in"></label></div>
+          <div class="field"><label>Offset ET<input id="${prefix}_offset" type="number" step="1" placeholder="mm"></label></div>
+          <div class="field"><label>Spacer<input id="${prefix}_spacer" type="number" step="1" placeholder="mm"></label></div>
+          <div class="field"><label>Wheel weight<input id="${prefix}_wheel_weight" type="number" step="0.1" min="0" placeholder="kg"></label></div>
+          <div class="field"><label>Tire weight<input id="${prefix}_tire_weight" type="number" step="0.1" min="0" placeholder="kg"></label></div>
+        </div>
+        <div>
+          <div class="field"><label>Tire size<span class="tire-wrap"><input id="${prefix}_tire" maxlength="40" placeholder="e.g., 235/45"><span class="tire-suffix" id="${prefix}_tire_suffix">R—</span></span></label></div>
+          <div class="field"><label>Width correction (%)<input id="${prefix}_correction" type="number" placeholder="%" step="1" min="-20" max="20"></label></div>
+          <div class="field"><label>Bulge (%)<input id="${prefix}_bulge" type="number" placeholder="%" step="1" min="0" max="10" value="5"></label></div>
+          <div class="field"><label>Load index<input id="${prefix}_load_index" type="number" step="1" min="0" max="150" placeholder="from size"></label></div>
+          <div class="field"><label>Load type${loadTypeSelectHtml(`${prefix}_load_type`)}</label></div>
+        </div>
+      </div>`;
+  }
+
+  // Show the rear-axle block while its staggered box is ticked
+  function syncStaggered(prefix) {
+    const box = document.getElementById(`${prefix}_staggered`);
+    const rear = document.getElementById(`${prefix}_rear`);
+    if (box && rear) rear.hidden = !box.checked;
+  }
+
   // Dynamic UI: add/remove setups
   function makeSetupCard(idx) {
     const id = `s${idx}`;
     const wrap = document.createElement('div');
     wrap.className = 'setup-card';
+    wrap.dataset.id = id;
     wrap.innerHTML = `
       <div class="setup-card-head">
         <h4>Setup</h4>
         <button class="copy-baseline" type="button" title="Copy all values from the baseline setup">Get from baseline</button>
       </div>
+      ${axleFieldsHtml(id)}
       <div class="grid two">
         <div>
-          <div class="field"><label>Rim diameter<input id="${id}_rim_diam" type="number" step="1" placeholder="in"></label></div>
-          <div class="field"><label>Rim width<input id="${id}_rim_width" type="number" step="1" placeholder="in"></label></div>
-          <div class="field"><label>Offset ET<input id="${id}_offset" type="number" step="1" placeholder="mm"></label></div>
-          <div class="field"><label>Spacer<input id="${id}_spacer" type="number" step="1" placeholder="mm"></label></div>
+          <div class="field"><label>Tread depth front<input id="${id}_tread" type="number" step="0.5" min="0" placeholder="mm (new)"></label></div>
+          <div class="field"><label>Camber front<input id="${id}_camber" type="number" step="0.1" min="-10" max="5" placeholder="° (baseline)"></label></div>
         </div>
         <div>
-          <div class="field"><label>Tire size<span class="tire-wrap"><input id="${id}_tire" maxlength="6" placeholder="e.g., 235/45"><span class="tire-suffix" id="${id}_tire_suffix">R—</span></span></label></div>
-          <div class="field"><label>Width correction (%)<input id="${id}_correction" type="number" placeholder="%" step="1" min="-20" max="20"></label></div>
-          <div class="field"><label>Bulge (%)<input id="${id}_bulge" type="number" placeholder="%" step="1" min="0" max="10" value="5"></label></div>
+          <div class="field"><label>Tread depth rear<input id="${id}_tread_rear" type="number" step="0.5" min="0" placeholder="mm (new)"></label></div>
+          <div class="field"><label>Camber rear<input id="${id}_camber_rear" type="number" step="0.1" min="-10" max="5" placeholder="° (baseline)"></label></div>
         </div>
       </div>
+      <div class="grid two">
+        <div>
+          <div class="field"><label>Bolt pattern (PCD)<input id="${id}_pcd" maxlength="12" placeholder="e.g., 5x112"></label></div>
+          <div class="field"><label>Center bore<input id="${id}_bore" type="number" step="0.1" min="0" placeholder="mm"></label></div>
+        </div>
+        <div>
+          <div class="field"><label>Lug thread<input id="${id}_thread" maxlength="16" placeholder="e.g., M14x1.5"></label></div>
+          <div class="field"><label>Seat type${seatSelectHtml(`${id}_seat`)}</label></div>
+          <div class="field"><label>Wheel seat thickness<input id="${id}_seat_depth" type="number" step="1" min="0" placeholder="mm"></label></div>
+        </div>
+      </div>
+      <label class="toggle axle-toggle"><input id="${id}_staggered" type="checkbox"> <span>Staggered rear</span></label>
+      <div id="${id}_rear" class="axle-rear" hidden>
+        <div class="axle-title">Rear axle</div>
+        ${axleFieldsHtml(`${id}_rear`)}
+      </div>
       <div class="actions"><button class="remove" type="button">Remove</button></div>
     `;
     wrap.querySelector('.remove').addEventListener('click', () => {
@@ -1337,24 +2436,38 @@
       renumberSetups();
       renderAll();
     });
-    // Copy all values from the baseline entries into this card
+    const staggeredBox = wrap.querySelector(`#${id}_staggered`);
+    const rearBlock = wrap.querySelector(`#${id}_rear`);
+    staggeredBox.addEventListener('change', () => {
+      rearBlock.hidden = !staggeredBox.checked;
+      renderAll();
+    });
+    // Copy all values from the baseline entries (both axles) into this card
     wrap.querySelector('.copy-baseline').addEventListener('click', () => {
-      ['rim_diam', 'rim_width', 'offset', 'spacer', 'tire', 'correction', 'bulge'].forEach(suffix => {
+      AXLE_FIELDS.forEach(suffix => {
+        [['base', id], ['base_rear', `${id}_rear`]].forEach(([from, to]) => {
+          const src = $(`#${from}_${suffix}`);
+          const dst = wrap.querySelector(`#${to}_${suffix}`);
+          if (src && dst) dst.value = src.value;
+        });
+      });
+      PER_AXLE_FIELDS.concat(HUB_FIELDS).forEach(suffix => {
         const src = $(`#base_${suffix}`);
-        const dst = wrap.querySelector(`#${id}_${suffix}`);
-        if (src && dst) dst.value = src.value;
+        if (src) wrap.querySelector(`#${id}_${suffix}`).value = src.value;
       });
+      staggeredBox.checked = !!$('#base_staggered')?.checked;
+      rearBlock.hidden = !staggeredBox.checked;
       updSuffix();
       renderAll();
     });
-    // Keep the R-suffix in the tire box synced with this card's rim diameter
-    const rimInp = wrap.querySelector(`#${id}_rim_diam`);
-    const suffixEl = wrap.querySelector(`#${id}_tire_suffix`);
+    // Keep the R-suffix in each tire box synced with its axle's rim diameter
     const updSuffix = () => {
-      const v = parseFloat(rimInp.value);
-      suffixEl.textContent = (!isNaN(v) && v > 0) ? `R${v}` : 'R—';
+      [id, `${id}_rear`].forEach(prefix => {
+        const v = parseFloat(wrap.querySelector(`#${prefix}_rim_diam`).value);
+        wrap.querySelector(`#${prefix}_tire_suffix`).textContent = (!isNaN(v) && v > 0) ? `R${v}` : 'R—';
+      });
     };
-    rimInp.addEventListener('input', updSuffix);
+    [id, `${id}_rear`].forEach(prefix => wrap.querySelector(`#${prefix}_rim_diam`).addEventListener('input', updSuffix));
     updSuffix();
     $$('#setups .field input', wrap).forEach(inp => inp.addEventListener('input', debounce(renderAll, 50)));
     return wrap;
@@ -1368,17 +2481,27 @@
   };
 
   // Normalize a full/old-format tire size ("225/45R17", "225/45ZR17 91Y",
-  // "31x10.5R15") to the partial field format ("225/45", "31X10.5") plus
-  // the rim diameter it carried. The rim goes into the rim-diameter field;
-  // the tire field never shows the old format.
+  // "31x10.5R15", "155R13", "7.50-16") to the partial field format ("225/45",
+  // "225/45ZR 91Y", "31X10.5", "155R", "7.50") plus the rim diameter it carried.
+  // The rim goes into the rim-diameter field; the load index / speed symbol,
+  // markers and a ZR/D construction letter stay with the size so the load
+  // and speed rating survive (225/45ZR17 -> 225/45ZR).
+  // Millimetric sizes (220/55R390) keep their rim in the size, since the
+  // wheel field can only hold the rounded inch value.
   function stripRimFromTireSize(raw) {
-    const s = String(raw || '').trim().toUpperCase().replace(/\s+/g, '');
-    // Metric: 225/45R17, 225/45ZR17, 225/45-17 (optional load/speed suffix)
-    let m = s.match(/^(\d{3}\/\d{2,3})(?:Z?R|-)(\d{2}(?:\.\d)?)[A-Z0-9]*$/);
-    if (m) return { size: m[1], rimIn: parseFloat(m[2]) };
-    // Flotation: 31x10.5R15, 35X12.50-20
-    m = s.match(/^(\d{2,3}(?:\.\d)?X\d{1,2}(?:\.\d{1,2})?)(?:Z?R|-)(\d{2}(?:\.\d)?)[A-Z0-9]*$/);
-    if (m) return { size: m[1], rimIn: parseFloat(m[2]) };
+    const s = normalizeTireStr(raw);
+    const m = s.match(new RegExp('^((?:P|LT|C)?(?:\\d{3}\\/\\d{2,3}|\\d{2,3}(?:\\.\\d)?X\\d{1,2}(?:\\.\\d{1,2})?|\\d{1,2}\\.\\d{2}|\\d{3}))'
+      + '(ZR|R|D|-)(' + MM_RIMS.join('|') + '|\\d{2}(?:\\.\\d)?)(C|LT)?(?=\\d| |$) ?(.*)$'));
+    if (m) {
+      const rim = parseFloat(m[3]);
+      if (MM_RIMS.includes(rim)) return { size: s, rimIn: +(rim / MM_PER_IN).toFixed(2) };
+      // Plain R is implied (the field shows R{rim}); ZR and D carry meaning,
+      // and sizes without an aspect ratio need theirs to parse at all
+      const bare = /^(?:P|LT|C)?\d{3}$/.test(m[1]);
+      const head = m[1] + (m[2] === 'ZR' || m[2] === 'D' ? m[2] : (bare ? 'R' : ''));
+      const rest = [m[4], m[5]].filter(Boolean).join(' ');
+      return { size: rest ? `${head} ${rest}` : head, rimIn: rim };
+    }
     return { size: s, rimIn: null };
   }
   // Expose for other scripts (e.g., OEM presets modal)
@@ -1404,15 +2527,37 @@
   // State
   let baseline = null;
   let selectedSetupId = null; // for Results & Visualizations tabs
+  let selectedAxle = 'front';  // axle drawn in the visualizations on staggered cars
 
   function saveBaseline() {
-    const proposed = readSetupFromInputs('base');
-    // store some baseline extras on the proposed baseline
-    proposed.baseSpeedoError = parseFloat($("#base_speedo_error").value) || 0;
+    const proposed = readAxlesFromInputs('base');
+    // store some baseline extras on the proposed baseline (both axles)
+    const baseSpeedoError = parseFloat($("#base_speedo_error").value) || 0;
+    const drivetrain = $("#base_drivetrain")?.value || 'fwd';
+    const awdTolPct = parseFloat($("#base_awd_tol")?.value);
+    axlesOf(proposed).forEach(a => Object.assign(a, { baseSpeedoError, drivetrain, awdTolPct }));
+    // Steering geometry is measured on the steered (front) axle
+    proposed.kpiDeg = parseFloat($("#base_kpi")?.value);
+    proposed.scrubMm = parseFloat($("#base_scrub")?.value);
+    // Lock & travel sweep settings, shared by both axles
+    const num = id => parseFloat($(`#${id}`)?.value);
+    const sweep = $("#base_sweep")?.checked ? {
+      maxSteerDeg: num('base_max_steer'),
+      bumpMm: num('base_bump'),
+      droopMm: num('base_droop'),
+      strutHeightMm: num('base_strut_height'),
+      linerGapMm: num('base_liner_gap'),
+      linerAngleDeg: num('base_liner_angle'),
+      lipAngleDeg: num('base_lip_angle')
+    } : null;
+    const strutHeightMm = num('base_strut_height');
+    axlesOf(proposed).forEach(a => Object.assign(a, { sweep, strutHeightMm }));
 
     // Hard validation: tire rim diameter must equal wheel rim diameter
-    if (proposed.diamMismatch) {
-      const msg = `Baseline invalid: tire rim ${proposed.diamMismatch.tireRimIn}\" does not match wheel rim ${proposed.diamMismatch.wheelRimIn}\".`;
+    const bad = axlesOf(proposed).find(a => a.diamMismatch);
+    if (bad) {
+      const where = bad.axle === 'rear' ? ' (rear)' : '';
+      const msg = `Baseline invalid${where}: tire rim ${bad.diamMismatch.tireRimIn}\" does not match wheel rim ${bad.diamMismatch.wheelRimIn}\".`;
       renderAlerts([{ text: msg, cls: 'bad' }]);
       return; // do not accept baseline
     }
@@ -1424,21 +2569,23 @@
   function getSetups() {
     const cards = $$('#setups .setup-card');
     const res = [];
-    cards.forEach((card, i) => {
-      const id = card.querySelector('input[id$="_tire"]').id.split('_')[0];
-      res.push(readSetupFromInputs(id));
+    cards.forEach(card => {
+      res.push(readAxlesFromInputs(card.dataset.id));
     });
     return res;
   }
 
-  function calcAlerts(base, selected) {
+  // base/selected are the axles being viewed; set is the whole selected
+  // setup (both axles) for checks that compare front with rear
+  // axle tells which axle base/selected belong to (square setups stand in for both)
+  function calcAlerts(base, selected, set = selected, axle = 'front') {
     const alerts = [];
     if (!base || !selected) return alerts;
 
     // Speedo baseline correction
     const cmp = compareSetups(base, selected);
     if (cmp) {
-      const corrected = (-cmp.speedoErrPct) + (baseline?.baseSpeedoError || 0);
+      const corrected = (-cmp.speedoErrPct) + (base.baseSpeedoError || 0);
       const cls = speedoErrorLevel(corrected); // same grading as the report row
       // Append example conversion at an indicated 100 km/h:
       // indicated = actual * (1 + err/100)  =>  actual = indicated / (1 + err/100)
@@ -1483,31 +2630,173 @@
       });
     }
 
-    return alerts;
-  }
-
-  function renderAlerts(alerts) {
-    const wrap = $("#alerts");
-    const dir = rtlAttr();
-    wrap.innerHTML = alerts.map(a => `<div class="alert ${a.cls}"${dir}>${a.text}</div>`).join('');
-  }
+    // Load / speed rating — flagged only when the setup falls below the baseline
+    const rating = ratingCheck(base, selected);
+    if (rating.load && !rating.load.pass) {
+      alerts.push({
+        text: t('alert_load_low', 'Load capacity → {value} kg per tire, below the baseline {base} kg',
+          { value: rating.load.kg.toFixed(0), base: rating.load.baseKg.toFixed(0) }),
+        cls: 'bad'
+      });
+    }
+    if (rating.speed && !rating.speed.pass) {
+      alerts.push({
+        text: t('alert_speed_low', 'Speed rating → {symbol} ({value} km/h), lower than the baseline {baseSymbol} ({base} km/h)',
+          { symbol: speedLabel(selected.tireParsed), value: rating.speed.kmh, baseSymbol: speedLabel(base.tireParsed), base: rating.speed.baseKmh }),
+        cls: 'bad'
+      });
+    }
 
-  // Full tire size label: appends R{rim} from the wheel's rim diameter when the typed size is partial
-  function tireLabel(s) {
-    const str = (s.tireStr || '').trim();
-    if (!str) return s.id;
-    const rim = s.tireParsed?.rim_in;
-    if (rim != null && !/(?:R|-)\s*\d{2}(?:\.\d+)?$/i.test(str)) {
-      return `${str.replace(/(?:R|-)$/i, '')}R${rim}`;
+    // Inflation for the same load capacity as the baseline at its placard pressure
+    const pressure = pressureCheck(base, selected);
+    if (pressure?.pass) {
+      alerts.push({
+        text: t('alert_pressure', 'Tire pressure → {bar} bar ({psi} psi) carries the same load as the baseline at {baseBar} bar ({load} kg per tire)',
+          { bar: pressureBar(pressure.kpa), psi: pressurePsi(pressure.kpa), baseBar: pressureBar(pressure.placardKpa), load: pressure.loadKg.toFixed(0) }),
+        cls: 'good'
+      });
+    } else if (pressure) {
+      alerts.push({
+        text: t('alert_pressure_low', 'Tire pressure → cannot carry the baseline load of {load} kg per tire: {value} kg at most, even at {bar} bar ({psi} psi)',
+          { load: pressure.loadKg.toFixed(0), value: pressure.kg.toFixed(0),
+            bar: pressureBar(pressure.maxKpa), psi: pressurePsi(pressure.maxKpa) }),
+        cls: 'bad'
+      });
     }
-    return str;
-  }
 
-  function renderTabs(setups) {
-    const tabsWrap = document.getElementById('setupTabs');
-    if (!tabsWrap) return;
-    tabsWrap.innerHTML = '';
-    if (!baseline?.tireGeom || setups.length === 0) return;
+    // Scrub radius growth on the steered axle — only flagged when large
+    const steer = steeringCheck(base, selected, axle);
+    if (steer?.level && steer.level !== 'good') {
+      alerts.push({
+        text: t('alert_scrub', 'Scrub radius → {value} mm more positive: expect heavier steering and torque steer (tight over {warn} mm, bad over {bad} mm)',
+          { value: steer.scrubDeltaMm.toFixed(0), warn: SCRUB_WARN_MM, bad: SCRUB_BAD_MM }),
+        cls: steer.level
+      });
+    }
+
+    // Lock & travel sweep — only flagged when the tire gets close or touches
+    const sim = sweepClearance(base, selected, axle);
+    if (sim && sim.level !== 'good') {
+      alerts.push({
+        text: t('alert_sweep', 'Lock & travel sweep: {point} clearance → {value} mm at {steer}° lock, {travel} mm travel',
+          { point: sweepPointLabel(sim.worst.key), value: sim.worst.value.toFixed(0), steer: sim.worst.steerDeg, travel: (sim.worst.travelMm >= 0 ? '+' : '') + sim.worst.travelMm }),
+        cls: sim.level
+      });
+    }
+
+    // Rim width vs the tire's approved range — only flagged when off-range
+    const fit = rimFitCheck(selected);
+    if (fit && fit.status !== 'approved') {
+      alerts.push({
+        text: t('alert_rim_fit', 'Rim width {width}" → {status} (approved {min}–{max}", measuring rim {meas}")',
+          { width: fit.widthIn, status: rimFitLabel(fit), min: fit.minIn, max: fit.maxIn, meas: fit.measIn }),
+        cls: fit.level
+      });
+    }
+
+    // Hub fitment — flagged when the wheel needs extra parts or doesn't fit
+    const hub = hubCheck(base, selected);
+    if (hub?.pcd && hub.pcd.level !== 'good') {
+      alerts.push({
+        text: t('alert_pcd', 'Bolt pattern {pcd} on a {hubPcd} hub → {verdict}',
+          { pcd: selected.hub.pcd.label, hubPcd: base.hub.pcd.label, verdict: pcdLabel(hub.pcd) }),
+        cls: hub.pcd.level
+      });
+    }
+    if (hub?.bore && hub.bore.level !== 'good') {
+      alerts.push({ text: t('alert_bore', 'Center bore → {verdict}', { verdict: boreLabel(hub.bore) }), cls: hub.bore.level });
+    }
+    if (hub?.seat && hub.seat.level !== 'good') {
+      alerts.push({
+        text: t('alert_seat', 'Seat type → the wheel needs {seat} lug nuts/bolts (current: {baseSeat})',
+          { seat: SEAT_TYPES[hub.seat.seat] || hub.seat.seat, baseSeat: SEAT_TYPES[hub.seat.baseSeat] || hub.seat.baseSeat }),
+        cls: 'warn'
+      });
+    }
+
+    // Spacer advice: style, hardware length and what's left of the thread
+    const adv = spacerAdvice(base, selected);
+    if (adv?.style === 'bolt_on') {
+      alerts.push({
+        text: t('alert_spacer_bolt_on', 'Spacer {mm} mm → use a bolt-on hub-centric adapter: it bolts to the hub with the stock hardware and the wheel mounts on its own studs',
+          { mm: adv.spacerMm })
+          + (adv.adapterStudMm != null ? t('spacer_adapter_studs', ' ({length} mm or longer)', { length: adv.adapterStudMm.toFixed(0) }) : ''),
+        cls: 'warn'
+      });
+      if (adv.protrudeMm > 0) {
+        alerts.push({
+          text: t('alert_stud_protrusion', 'Car studs → {value} mm past the {mm} mm adapter face: shorten them or use a thicker adapter, or the wheel won\u2019t sit flat',
+            { value: adv.protrudeMm.toFixed(0), mm: adv.spacerMm }),
+          cls: 'bad'
+        });
+      } else if (adv.level === 'warn') {
+        alerts.push({
+          text: t('alert_stud_protrusion_unknown', 'Car studs → enter the stud length to check they stay below the {mm} mm adapter face', { mm: adv.spacerMm }),
+          cls: 'warn'
+        });
+      }
+    } else if (adv) {
+      const length = adv.lengthMm != null ? `≥ ${adv.lengthMm.toFixed(0)} mm` : `+${adv.extraMm.toFixed(0)} mm`;
+      if (adv.level === 'bad') {
+        alerts.push({
+          text: t('alert_engagement_low', 'Thread engagement → {value} mm with the spacer, below the minimum {min} mm for {thread}: use {length} {hardware}',
+            { value: adv.engagementMm.toFixed(0), min: adv.minMm.toFixed(0), thread: adv.thread.label, length, hardware: lugHardwareLabel(adv.lugType) }),
+          cls: 'bad'
+        });
+      } else {
+        const keep = adv.minMm != null
+          ? t('spacer_keep', ', keeping at least {min} mm ({turns} turns) of {thread} engaged', { min: adv.minMm.toFixed(0), turns: adv.minTurns.toFixed(1), thread: adv.thread.label })
+          : '';
+        alerts.push({
+          text: t('alert_spacer_slip_on', 'Spacer {mm} mm → slip-on with {length} {hardware}{keep}',
+            { mm: adv.spacerMm, length, hardware: lugHardwareLabel(adv.lugType), keep }),
+          cls: adv.level
+        });
+      }
+    }
+
+    // AWD front/rear rolling circumference — same grading as the report row
+    const awd = awdCheck(base, set);
+    if (awd) {
+      alerts.push({
+        text: t('alert_awd_mismatch', 'AWD front/rear circumference → {pct}% ({mm} mm), allowed ±{tol}%',
+          { pct: (awd.diffPct >= 0 ? '+' : '') + awd.diffPct.toFixed(2), mm: awd.diffMm.toFixed(0), tol: awd.tolPct }),
+        cls: awd.level
+      });
+    }
+
+    return alerts;
+  }
+
+  function renderAlerts(alerts) {
+    const wrap = $("#alerts");
+    const dir = rtlAttr();
+    wrap.innerHTML = alerts.map(a => `<div class="alert ${a.cls}"${dir}>${a.text}</div>`).join('');
+  }
+
+  // Full tire size label: inserts R{rim} from the wheel's rim diameter after the size when the typed size is partial
+  function tireLabel(s) {
+    const str = (s.tireStr || '').trim();
+    if (!str) return s.id;
+    const rim = s.tireParsed?.rim_in;
+    if (rim != null && s.tireParsed.partial) {
+      const dflt = s.tireParsed.type === 'inch' ? '-' : 'R'; // 7.50-16 is written with a dash
+      return normalizeTireStr(str).replace(/^([A-Z]*[\d.]+(?:[\/X][\d.]+)?)(ZR|R|D|-)? ?/,
+        (m, size, c) => `${size}${c || dflt}${rim} `).trim();
+    }
+    return str;
+  }
+
+  // Tab/column label for a setup: "front / rear" tire sizes when staggered
+  function setupLabel(s) {
+    return s.rear ? `${tireLabel(s)} / ${tireLabel(s.rear)}` : tireLabel(s);
+  }
+
+  function renderTabs(setups) {
+    const tabsWrap = document.getElementById('setupTabs');
+    if (!tabsWrap) return;
+    tabsWrap.innerHTML = '';
+    if (!baseline?.tireGeom || setups.length === 0) return;
 
     // Ensure selectedSetupId exists among current setups
     const exists = setups.some(s => s.id === selectedSetupId);
@@ -1517,7 +2806,7 @@
       const btn = document.createElement('button');
       btn.type = 'button';
       btn.className = 'tab' + (s.id === selectedSetupId ? ' active' : '');
-      btn.textContent = tireLabel(s);
+      btn.textContent = setupLabel(s);
       btn.dataset.id = s.id;
       btn.addEventListener('click', () => {
         selectedSetupId = s.id;
@@ -1527,39 +2816,490 @@
     }
   }
 
+  // Front/Rear switch for the visualizations; only shown when the baseline
+  // or any setup has a distinct rear axle (staggered or own rear camber)
+  function renderAxleTabs(setups) {
+    const tabsWrap = document.getElementById('axleTabs');
+    if (!tabsWrap) return;
+    tabsWrap.innerHTML = '';
+    const staggered = (baseline && hasRearAxle(baseline)) || setups.some(hasRearAxle);
+    tabsWrap.hidden = !staggered;
+    if (!staggered) { selectedAxle = 'front'; return; }
+    [['front', t('axle_front', 'Front')], ['rear', t('axle_rear', 'Rear')]].forEach(([axle, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'tab' + (axle === selectedAxle ? ' active' : '');
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        selectedAxle = axle;
+        renderAll();
+      });
+      tabsWrap.appendChild(btn);
+    });
+  }
+
   function renderAll() {
     const unitMode = $("#unitToggle").value;
     updateTireSuffixes();
     const all = getSetups();
-    const invalids = all.filter(s => s.diamMismatch);
-    const setups = all.filter(s => !s.diamMismatch && s.tireGeom && s.wheelGeom);
+    const invalids = all.filter(s => axlesOf(s).some(a => a.diamMismatch));
+    const setups = all.filter(axlesValid);
 
-    // Tabs for selecting which setup to view
+    // Tabs for selecting which setup (and axle) to view
     renderTabs(setups);
+    renderAxleTabs(setups);
 
     renderComparison(baseline, setups, unitMode);
 
-    // Selected setup for visuals/alerts
+    // Selected setup for visuals/alerts, on the selected axle
     const selected = setups.find(s => s.id === selectedSetupId) || setups[0];
-    drawSideView(baseline, selected, unitMode);
-    drawRimView(baseline, selected);
+    const baseAxle = baseline ? axleOf(baseline, selectedAxle) : baseline;
+    const selAxle = selected ? axleOf(selected, selectedAxle) : selected;
+    drawSideView(baseAxle, selAxle, unitMode);
+    animateSweep(baseAxle, selAxle, unitMode, selectedAxle);
+    drawRimView(baseAxle, selAxle);
 
     // Build alerts: hard errors for any invalid setups + dynamic alerts for selected
     const alerts = [];
     if (invalids.length > 0) {
       for (const s of invalids) {
-        const msg = t('alert_rim_mismatch',
-          'Setup "{setup}": tire rim {tireRim}" does not match wheel rim {wheelRim}".',
-          { setup: s.tireStr || s.id, tireRim: s.diamMismatch.tireRimIn, wheelRim: s.diamMismatch.wheelRimIn });
-        alerts.push({ text: msg, cls: 'bad' });
+        for (const a of axlesOf(s).filter(a => a.diamMismatch)) {
+          const name = (s.tireStr || s.id) + (a.axle === 'rear' ? ` · ${t('axle_rear', 'Rear')}` : '');
+          const msg = t('alert_rim_mismatch',
+            'Setup "{setup}": tire rim {tireRim}" does not match wheel rim {wheelRim}".',
+            { setup: name, tireRim: a.diamMismatch.tireRimIn, wheelRim: a.diamMismatch.wheelRimIn });
+          alerts.push({ text: msg, cls: 'bad' });
+        }
       }
     }
-    for (const a of calcAlerts(baseline, selected)) alerts.push(a);
+    for (const a of calcAlerts(baseAxle, selAxle, selected, selectedAxle)) alerts.push(a);
     renderAlerts(alerts);
+    renderGearing(baseline, setups, unitMode);
+    renderCalibration(baseline, setups, unitMode);
+    renderSolver(baseline, unitMode);
     // Autosave current state after each render so reload restores it
     if (typeof saveAutoState === 'function') saveAutoState();
   }
 
+  // Gearing: engine RPM per gear at a target speed and top speed at redline,
+  // from the driven axle's revsPerMile. Ratios are typed comma-separated.
+  const GEARBOX_KEY = 'tmu_gearboxes';
+  function parseRatios(str) {
+    return String(str || '').split(/[,;\s]+/).map(parseFloat).filter(n => n > 0);
+  }
+  function readGearing() {
+    return {
+      ratios: parseRatios($('#gear_ratios')?.value),
+      finalDrive: parseFloat($('#gear_final')?.value),
+      speed: parseFloat($('#gear_speed')?.value),
+      redline: parseFloat($('#gear_redline')?.value)
+    };
+  }
+  // Driven axle for the drivetrain chosen in the baseline (AWD: front)
+  function drivenAxle(base) {
+    return base?.drivetrain === 'rwd' ? 'rear' : 'front';
+  }
+  function engineRpm(set, mph, ratio, finalDrive) {
+    return mph * set.tireGeom.revsPerMile / 60 * ratio * finalDrive;
+  }
+  function redlineKmh(set, rpm, ratio, finalDrive) {
+    return rpm * 60 / (set.tireGeom.revsPerMile * ratio * finalDrive) * KM_PER_MI;
+  }
+
+  function renderGearing(base, setups, unitMode) {
+    const wrap = $('#gearingTable');
+    if (!wrap) return;
+    const rtl = isRtl() ? ' dir="rtl"' : '';
+    const imperial = unitMode === 'imperial';
+    const unitEl = $('#gear_speed_unit');
+    if (unitEl) unitEl.textContent = imperial ? 'mph' : 'km/h';
+    const speedEl = $('#gear_speed');
+    if (speedEl) speedEl.dataset.unit = imperial ? 'mph' : 'kmh'; // unit the value is in (see convertGearSpeed)
+    const g = readGearing();
+    if (!base?.tireGeom || !g.ratios.length || !(g.finalDrive > 0)) {
+      wrap.innerHTML = `<div class="small"${rtl}>${t('gear_need_input', 'Enter the gear ratios and final drive, and save a baseline.')}</div>`;
+      return;
+    }
+    const axle = drivenAxle(base);
+    const allSets = [base, ...setups];
+    const drive = allSets.map(s => axleOf(s, axle));
+    const baseDrive = drive[0];
+    const mph = imperial ? g.speed : g.speed / KM_PER_MI;
+
+    const headCells = allSets.map((s, i) => `<th>${i === 0 ? 'Baseline' : `Setup ${i}`}<div class="report-col-sub">${tireLabel(axleOf(s, axle))}</div></th>`).join('');
+    const row = (label, desc, fn) => `<tr><td class="report-label">${label}<div class="report-desc"${rtlAttr()}>${desc}</div></td>`
+      + drive.map(d => `<td class="report-value">${fn(d) ?? ''}</td>`).join('') + '</tr>';
+    let body = '';
+    if (g.speed > 0) {
+      const speedTxt = `${g.speed} ${imperial ? 'mph' : 'km/h'}`;
+      g.ratios.forEach((ratio, i) => {
+        body += row(`Gear ${i + 1}`, t('gear_rpm_desc', 'Engine RPM at {speed} (ratio {ratio})', { speed: speedTxt, ratio }),
+          d => {
+            const rpm = engineRpm(d, mph, ratio, g.finalDrive);
+            const over = g.redline > 0 && rpm > g.redline;
+            return `<span class="${over ? 'val-bad' : ''}">${rpm.toFixed(0)} rpm</span>`;
+          });
+      });
+    }
+    body += row('Effective Final Drive', t('gear_final_desc', 'Final drive the engine feels with this tire, vs the baseline tire'),
+      d => {
+        const eff = g.finalDrive * d.tireGeom.revsPerMile / baseDrive.tireGeom.revsPerMile;
+        const pct = (eff / g.finalDrive - 1) * 100;
+        return `${eff.toFixed(2)} (${pct >= 0 ? '+' : ''}${pct.toFixed(1)} %)`;
+      });
+    if (g.redline > 0) {
+      const top = Math.min(...g.ratios);
+      body += row('Top Speed at Redline', t('gear_top_desc', 'Theoretical speed at {rpm} rpm in the tallest gear', { rpm: g.redline }),
+        d => displaySpeed(redlineKmh(d, g.redline, top, g.finalDrive), unitMode));
+    }
+    wrap.innerHTML = `<table class="report-table"><thead><tr><th></th>${headCells}</tr></thead><tbody>${body}</tbody></table>`;
+  }
+
+  // Speedometer / odometer calibration for the driven axle. The baseline
+  // speedo error (indicated = actual · (1 + e0)) and the tire change combine
+  // exactly: indicated = actual · (1 + e0) · C_base / C_setup. The correction
+  // factor k = 1 / (1 + e) scales the cluster's programmed circumference
+  // (×k) or pulses per km (÷k) so it reads true.
+  const ODO_REF_DIST = 10000;
+  function speedoCalibration(base, set) {
+    if (!base?.tireGeom || !set?.tireGeom) return null;
+    const e0 = (base.baseSpeedoError || 0) / 100;
+    const circumferenceMm = set.tireGeom.circumferenceMm;
+    const errFrac = (1 + e0) * base.tireGeom.circumferenceMm / circumferenceMm - 1;
+    const factor = 1 / (1 + errFrac);
+    const pulses = parseFloat($('#cal_pulses')?.value);
+    const progCirc = parseFloat($('#cal_circ')?.value);
+    return {
+      errorPct: errFrac * 100,
+      factor,
+      circumferenceMm,
+      revsPerKm: 1e6 / circumferenceMm,
+      pulsesPerKm: pulses > 0 ? pulses / factor : null,
+      programmedCircMm: progCirc > 0 ? progCirc * factor : null,
+      odoErrorPer10k: ODO_REF_DIST * errFrac
+    };
+  }
+  function calibrationSheet(base, set, label) {
+    const cal = speedoCalibration(base, set);
+    return {
+      setup: label,
+      tire: tireLabel(set),
+      baseline_tire: tireLabel(base),
+      baseline_speedo_error_pct: +(base.baseSpeedoError || 0).toFixed(2),
+      speedo_error_pct: +cal.errorPct.toFixed(3),
+      correction_factor: +cal.factor.toFixed(5),
+      circumference_mm: +cal.circumferenceMm.toFixed(1),
+      revs_per_km: +cal.revsPerKm.toFixed(2),
+      pulses_per_km: cal.pulsesPerKm == null ? null : +cal.pulsesPerKm.toFixed(1),
+      programmed_circumference_mm: cal.programmedCircMm == null ? null : +cal.programmedCircMm.toFixed(1),
+      odometer_error_per_10000: +cal.odoErrorPer10k.toFixed(1)
+    };
+  }
+  // Save text as a file via a temporary object URL (same approach as wget.js)
+  function downloadFile(name, text, type) {
+    const blobUrl = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = blobUrl;
+    a.download = name;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      URL.revokeObjectURL(blobUrl);
+      a.remove();
+    }, 0);
+  }
+  function csvCell(v) {
+    const str = v == null ? '' : String(v);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  // Minimal .xlsx writer: one sheet, numbers as numbers, text as inline
+  // strings, bold header row. An xlsx file is a zip of XML parts; they are
+  // stored uncompressed so no deflate is needed.
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+  // files: [{name, text}] -> zip bytes (STORE method, no compression)
+  function zipStore(files) {
+    const enc = new TextEncoder();
+    const chunks = [], central = [];
+    let offset = 0;
+    const header = (size, fields) => {
+      const buf = new DataView(new ArrayBuffer(size));
+      fields.forEach(([at, bytes, v]) => (bytes === 4 ? buf.setUint32(at, v, true) : buf.setUint16(at, v, true)));
+      return new Uint8Array(buf.buffer);
+    };
+    files.forEach(f => {
+      const name = enc.encode(f.name), data = enc.encode(f.text);
+      const crc = crc32(data);
+      // flags (bit 11: UTF-8 names), method 0, time, date 1980-01-01, crc,
+      // sizes, name length: local header offsets, 2 bytes later in the central one
+      const common = [[6, 2, 0x0800], [8, 2, 0], [10, 2, 0], [12, 2, 0x21], [14, 4, crc], [18, 4, data.length], [22, 4, data.length], [26, 2, name.length]];
+      const local = header(30, [[0, 4, 0x04034b50], [4, 2, 20], ...common]);
+      chunks.push(local, name, data);
+      central.push(header(46, [[0, 4, 0x02014b50], [4, 2, 20], [6, 2, 20], ...common.map(([at, b, v]) => [at + 2, b, v]), [42, 4, offset]]), name);
+      offset += local.length + name.length + data.length;
+    });
+    const size = central.reduce((n, c) => n + c.length, 0);
+    const end = header(22, [[0, 4, 0x06054b50], [8, 2, files.length], [10, 2, files.length], [12, 4, size], [16, 4, offset]]);
+    const parts = [...chunks, ...central, end];
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let at = 0;
+    parts.forEach(p => { out.set(p, at); at += p.length; });
+    return out;
+  }
+  // rows: arrays of numbers / strings / null; the first row is the header
+  function xlsxWorkbook(rows, sheetName) {
+    const xml = s => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    const col = i => (i >= 26 ? col(Math.floor(i / 26) - 1) : '') + String.fromCharCode(65 + (i % 26));
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((v, c) => {
+      if (v == null || v === '') return '';
+      const ref = `${col(c)}${r + 1}`, style = r === 0 ? ' s="1"' : '';
+      return typeof v === 'number' && isFinite(v)
+        ? `<c r="${ref}"${style}><v>${v}</v></c>`
+        : `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xml(v)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+    const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+    const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    return zipStore([
+      { name: '[Content_Types].xml', text: `${head}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>` },
+      { name: '_rels/.rels', text: `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+      { name: 'xl/workbook.xml', text: `${head}<workbook ${ns} xmlns:r="${rel}"><sheets><sheet name="${xml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+      { name: 'xl/_rels/workbook.xml.rels', text: `${head}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/></Relationships>` },
+      { name: 'xl/styles.xml', text: `${head}<styleSheet ${ns}><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>` },
+      { name: 'xl/worksheets/sheet1.xml', text: `${head}<worksheet ${ns}><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${sheetRows}</sheetData></worksheet>` }
+    ]);
+  }
+
+  function renderCalibration(base, setups, unitMode) {
+    const wrap = $('#calibrationTable');
+    if (!wrap) return;
+    const rtl = isRtl() ? ' dir="rtl"' : '';
+    if (!base?.tireGeom) {
+      wrap.innerHTML = `<div class="small"${rtl}>${t('report_need_baseline', 'Enter and save a valid baseline to view results.')}</div>`;
+      return;
+    }
+    const axle = drivenAxle(base);
+    const baseDrive = axleOf(base, axle);
+    const allSets = [base, ...setups];
+    const names = allSets.map((s, i) => (i === 0 ? 'Baseline' : `Setup ${i}`));
+    const cols = allSets.map(s => ({ set: axleOf(s, axle) }));
+    cols.forEach(c => { c.cal = speedoCalibration(baseDrive, c.set); });
+    const imperial = unitMode === 'imperial';
+    const distUnit = imperial ? 'mi' : 'km';
+
+    const headCells = cols.map((c, i) => `<th>${names[i]}<div class="report-col-sub">${tireLabel(c.set)}</div></th>`).join('');
+    const row = (label, desc, fn) => {
+      const cells = cols.map(fn);
+      if (cells.every(v => v == null)) return '';
+      return `<tr><td class="report-label">${label}<div class="report-desc"${rtlAttr()}>${desc}</div></td>`
+        + cells.map(v => `<td class="report-value">${v ?? ''}</td>`).join('') + '</tr>';
+    };
+    const body = [
+      row('Speedometer Error', t('cal_error_desc', 'Total error including the baseline speedo error. Positive = reads faster than actual'),
+        c => `<span class="val-${speedoErrorLevel(c.cal.errorPct)}">${c.cal.errorPct >= 0 ? '+' : ''}${c.cal.errorPct.toFixed(2)} %</span>`),
+      row('Correction Factor', t('cal_factor_desc', 'Multiply the indicated speed (or programmed circumference) by this to read true'),
+        c => c.cal.factor.toFixed(4)),
+      row('Tire Circumference', t('rep_circumference_desc', 'Perimeter length of the tire'),
+        c => `${c.cal.circumferenceMm.toFixed(0)} mm`),
+      row('Revolutions per km', t('rep_revs_km_desc', 'How many times the tire rotates per km'),
+        c => c.cal.revsPerKm.toFixed(1)),
+      row('Pulses per km', t('cal_pulses_desc', 'Speed-sensor pulses per km to program so the cluster reads true'),
+        c => (c.cal.pulsesPerKm == null ? null : c.cal.pulsesPerKm.toFixed(0))),
+      row('Programmed Circumference', t('cal_circ_desc', 'Tire circumference to program so the cluster reads true'),
+        c => (c.cal.programmedCircMm == null ? null : `${c.cal.programmedCircMm.toFixed(0)} mm`)),
+      row(`Odometer Error per 10,000 ${distUnit}`, t('cal_odo_desc', 'Extra distance the odometer adds over {dist}. Negative = under-reads', { dist: `10,000 ${distUnit}` }),
+        c => `${c.cal.odoErrorPer10k >= 0 ? '+' : ''}${c.cal.odoErrorPer10k.toFixed(0)} ${distUnit}`),
+      row('Export', t('cal_export_desc', 'Download this calibration sheet'),
+        (c, i) => `<button type="button" class="cal-export" data-idx="${i}" data-fmt="json">JSON</button> <button type="button" class="cal-export" data-idx="${i}" data-fmt="csv">CSV</button>`)
+    ].join('');
+    wrap.innerHTML = `<table class="report-table"><thead><tr><th></th>${headCells}</tr></thead><tbody>${body}</tbody></table>`;
+
+    wrap.querySelectorAll('.cal-export').forEach(btn => btn.addEventListener('click', () => {
+      const i = +btn.dataset.idx;
+      const sheet = calibrationSheet(baseDrive, cols[i].set, names[i]);
+      const file = `speedo-calibration-${names[i].toLowerCase().replace(/\s+/g, '-')}`;
+      if (btn.dataset.fmt === 'json') {
+        downloadFile(`${file}.json`, JSON.stringify(sheet, null, 2), 'application/json');
+      } else {
+        const csv = ['field,value', ...Object.entries(sheet).map(([k, v]) => `${k},${csvCell(v)}`)].join('\n');
+        downloadFile(`${file}.csv`, csv, 'text/csv');
+      }
+    }));
+  }
+
+  // Width/offset solver. Inner and outer clearance only depend on where the
+  // rim sits (backspacing/frontspacing, tilted by camber), so every width
+  // × ET × spacer combination is graded with clearanceChecks against the
+  // baseline on the viewed axle. Tight = passes within SOLVER_TIGHT_MM of
+  // a threshold.
+  const SOLVER_TIGHT_MM = 5;
+  const SOLVER_WIDTH_STEP_IN = 0.5;
+  function solverWheel(base, rimWidthIn, etMm, spacerMm) {
+    return { ...base, rimWidthIn, etMm, spacerMm, wheelGeom: wheelGeometry2(rimWidthIn, etMm, spacerMm) };
+  }
+  function solverCell(base, rimWidthIn, etMm, spacerMm) {
+    const checks = clearanceChecks(base, solverWheel(base, rimWidthIn, etMm, spacerMm), { inner: 3, outer: 3 });
+    const parts = [checks.inner, checks.outer].filter(Boolean);
+    if (!parts.length) return null;
+    const level = parts.some(c => !c.pass) ? 'bad'
+      : (parts.some(c => c.value - c.min < SOLVER_TIGHT_MM) ? 'warn' : 'good');
+    return { inner: checks.inner?.value, outer: checks.outer?.value, level };
+  }
+  // Effective ET (ET minus spacer) putting the outer lip at the target
+  // outer clearance; clearance is linear in ET, so two samples solve it.
+  function flushEffectiveEt(base, rimWidthIn, targetMm) {
+    const at = et => clearanceChecks(base, solverWheel(base, rimWidthIn, et, 0), { inner: 3, outer: 3 }).outer?.value;
+    const f0 = at(0), f1 = at(1);
+    if (f0 == null || f1 == null || f1 === f0) return null;
+    return (targetMm - f0) / (f1 - f0);
+  }
+  function readSolver(base) {
+    const num = (id, dflt) => {
+      const v = parseFloat($(`#${id}`)?.value);
+      return isNaN(v) ? dflt : v;
+    };
+    const baseW = base.rimWidthIn > 0 ? base.rimWidthIn : 8;
+    const baseEt = isNaN(base.etMm) ? 35 : base.etMm;
+    return {
+      widthMin: num('solver_width_min', Math.floor(baseW) - 1),
+      widthMax: num('solver_width_max', Math.ceil(baseW) + 2),
+      etMin: num('solver_et_min', baseEt - 30),
+      etMax: num('solver_et_max', baseEt + 15),
+      etStep: Math.max(1, num('solver_et_step', 5)),
+      spacerMm: num('solver_spacer', 0),
+      flushWidthIn: num('solver_flush_width', baseW),
+      flushEtMm: num('solver_flush_et', baseEt),
+      targetMm: num('solver_target', 0)
+    };
+  }
+
+  function renderSolver(base, unitMode) {
+    const wrap = $('#solverGrid');
+    if (!wrap) return;
+    const rtl = isRtl() ? ' dir="rtl"' : '';
+    const spacerOut = $('#solver_spacer_value');
+    if (spacerOut) spacerOut.textContent = `${parseFloat($('#solver_spacer')?.value) || 0} mm`;
+    const b = base ? axleOf(base, selectedAxle) : null;
+    if (!b?.tireGeom) {
+      wrap.innerHTML = `<div class="small"${rtl}>${t('report_need_baseline', 'Enter and save a valid baseline to view results.')}</div>`;
+      return;
+    }
+    if (isNaN(b.innerClearMm) && isNaN(b.outerClearMm)) {
+      wrap.innerHTML = `<div class="small"${rtl}>${t('solver_need_clear', 'Enter the current inner and outer clearances in the baseline to use the solver.')}</div>`;
+      return;
+    }
+    const o = readSolver(b);
+    const widths = [];
+    for (let w = o.widthMin; w <= o.widthMax + 1e-9 && widths.length < 40; w += SOLVER_WIDTH_STEP_IN) widths.push(w);
+    const ets = [];
+    for (let et = o.etMax; et >= o.etMin - 1e-9 && ets.length < 60; et -= o.etStep) ets.push(et);
+    const len = mm => displayLengthSmart(mm, unitMode, 'mm');
+
+    const head = widths.map(w => `<th>${w}"</th>`).join('');
+    const body = ets.map(et => `<tr><th>ET ${et}</th>${widths.map(w => {
+      const cell = solverCell(b, w, et, o.spacerMm);
+      if (!cell) return '<td></td>';
+      const isBase = Math.abs(w - b.rimWidthIn) < 1e-9 && et === b.etMm && o.spacerMm === (b.spacerMm || 0);
+      const tip = [cell.inner != null ? `${t('solver_inner', 'Inner')} ${len(cell.inner)}` : '', cell.outer != null ? `${t('solver_outer', 'Outer')} ${len(cell.outer)}` : '']
+        .filter(Boolean).join(' · ');
+      return `<td class="solver-cell solver-${cell.level}${isBase ? ' is-base' : ''}" title="${w}&quot; ET${et} · ${tip}"></td>`;
+    }).join('')}</tr>`).join('');
+    const axleName = hasRearAxle(base) ? ` (${selectedAxle === 'rear' ? t('axle_rear', 'Rear') : t('axle_front', 'Front')})` : '';
+
+    // Flush fitment: the ET (no spacer) or the spacer (on the chosen wheel's
+    // ET) that puts the outer lip at the target outer clearance
+    const effEt = flushEffectiveEt(b, o.flushWidthIn, o.targetMm);
+    let flush = '';
+    if (effEt != null) {
+      const etNoSpacer = Math.round(effEt);
+      const spacer = o.flushEtMm - effEt;
+      const fit = solverCell(b, o.flushWidthIn, effEt, 0);
+      const spacerTxt = spacer >= 0
+        ? t('solver_flush_spacer', '{spacer} spacer on ET {et}', { spacer: len(spacer), et: o.flushEtMm })
+        : t('solver_flush_past', 'ET {et} already sits {over} past the target', { et: o.flushEtMm, over: len(-spacer) });
+      flush = `<div class="solver-flush"${rtl}>${t('solver_flush', 'Outer lip at {target} for a {width}" wheel: ET {et} without spacer, or {spacer}. Inner clearance {inner}.',
+        { target: len(o.targetMm), width: o.flushWidthIn, et: etNoSpacer, spacer: spacerTxt, inner: fit?.inner != null ? `<span class="val-${fit.level}">${len(fit.inner)}</span>` : '—' })}</div>`;
+    }
+    wrap.innerHTML = `
+      <div class="small"${rtl}>${t('solver_grid_desc', 'Rim width × offset with a {spacer} spacer{axle}. Green = fits, amber = within {tight} mm of a threshold, red = fails. The outlined cell is the baseline.',
+        { spacer: len(o.spacerMm), axle: axleName, tight: SOLVER_TIGHT_MM })}</div>
+      <div class="table-wrap"><table class="solver-table"><thead><tr><th></th>${head}</tr></thead><tbody>${body}</tbody></table></div>
+      ${flush}`;
+  }
+
+  // Gearbox presets, stored next to the saved sessions
+  function readGearboxes() {
+    try { return JSON.parse(localStorage.getItem(GEARBOX_KEY) || '[]'); }
+    catch (_) { return []; }
+  }
+  function writeGearboxes(arr) {
+    localStorage.setItem(GEARBOX_KEY, JSON.stringify(arr));
+  }
+  function fillGearboxSelect() {
+    const sel = $('#gearPreset');
+    if (!sel) return;
+    const cur = sel.value;
+    sel.innerHTML = '<option value="">Saved gearboxes</option>';
+    readGearboxes().forEach(gb => {
+      const opt = document.createElement('option');
+      opt.value = String(gb.id);
+      opt.textContent = gb.name;
+      sel.appendChild(opt);
+    });
+    sel.value = readGearboxes().some(gb => String(gb.id) === cur) ? cur : '';
+    const del = $('#gearDeleteBtn');
+    if (del) del.disabled = !sel.value;
+  }
+  function initGearing() {
+    if (!$('#gearing')) return;
+    $$('#gearing input, #calibration input, #solver input').forEach(inp => inp.addEventListener('input', debounce(renderAll, 150)));
+    const sel = $('#gearPreset');
+    sel?.addEventListener('change', () => {
+      const gb = readGearboxes().find(x => String(x.id) === sel.value);
+      if (gb) {
+        $('#gear_ratios').value = gb.ratios;
+        $('#gear_final').value = gb.final;
+        $('#gear_redline').value = gb.redline ?? '';
+        renderAll();
+      }
+      $('#gearDeleteBtn').disabled = !sel.value;
+    });
+    $('#gearSaveBtn')?.addEventListener('click', () => {
+      const g = readGearing();
+      if (!g.ratios.length || !(g.finalDrive > 0)) { alert('Enter the gear ratios and final drive first.'); return; }
+      const name = prompt('Save gearbox as (name):');
+      if (!name) return;
+      const item = { id: Date.now(), name, ratios: g.ratios.join(', '), final: g.finalDrive, redline: isNaN(g.redline) ? '' : g.redline };
+      const arr = readGearboxes();
+      arr.push(item);
+      writeGearboxes(arr);
+      fillGearboxSelect();
+      sel.value = String(item.id);
+      $('#gearDeleteBtn').disabled = false;
+    });
+    $('#gearDeleteBtn')?.addEventListener('click', () => {
+      const gb = readGearboxes().find(x => String(x.id) === sel.value);
+      if (!gb || !confirm(`Delete gearbox "${gb.name}"?`)) return;
+      writeGearboxes(readGearboxes().filter(x => x.id !== gb.id));
+      fillGearboxSelect();
+    });
+    fillGearboxSelect();
+  }
+
   // Theme toggle (lives in the shared header injected from base.html,
   // so it may not exist yet on DOMContentLoaded — retry when ready)
   function initTheme() {
@@ -1580,7 +3320,24 @@
   function initUnits() {
     const unitSel = $("#unitToggle");
     if (!unitSel) return;
-    unitSel.addEventListener('change', renderAll);
+    const speedEl = $('#gear_speed');
+    if (speedEl) speedEl.dataset.unit = unitSel.value === 'imperial' ? 'mph' : 'kmh';
+    unitSel.addEventListener('change', () => {
+      convertGearSpeed(unitSel.value === 'imperial');
+      renderAll();
+    });
+  }
+  // The gearing target speed follows the unit toggle (120 km/h <-> 75 mph).
+  // The exact km/h is kept while the field is untouched, so toggling back
+  // and forth doesn't drift through the rounding.
+  function convertGearSpeed(toImperial) {
+    const inp = $('#gear_speed');
+    const v = parseFloat(inp?.value);
+    if (!inp || isNaN(v) || !inp.dataset.unit || (inp.dataset.unit === 'mph') === toImperial) return;
+    const kmh = (inp.dataset.kmh && inp.value === inp.dataset.shown) ? +inp.dataset.kmh : (toImperial ? v : v * KM_PER_MI);
+    inp.value = String(Math.round(toImperial ? kmh / KM_PER_MI : kmh));
+    inp.dataset.kmh = String(kmh);
+    inp.dataset.shown = inp.value;
   }
 
   // RimView base/setup visibility toggles
@@ -1655,14 +3412,40 @@
       updateSpeedoHint();
       try { renderAll(); } catch (_) { /* ignore */ }
     });
-    // Keep baseline tire R-suffix in sync while typing rim diameter
-    const rd = document.getElementById('base_rim_diam');
-    if (rd) rd.addEventListener('input', updateTireSuffixes);
+    // Keep baseline tire R-suffixes in sync while typing rim diameter
+    ['base_rim_diam', 'base_rear_rim_diam'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', updateTireSuffixes);
+    });
+    // Drivetrain select and rim-width option apply to every setup
+    ['base_drivetrain', 'base_rim_adjust', 'base_sweep', 'base_load_type', 'base_rear_load_type', 'base_pressure_unit', 'base_seat', 'base_lug_type'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        if (id === 'base_pressure_unit') syncPressureUnit();
+        if (baseline) saveBaseline(); else renderAll();
+        if (typeof saveAutoState === 'function') saveAutoState();
+      });
+    });
+    // Staggered baseline: show the rear-axle fields and re-apply
+    document.getElementById('base_staggered')?.addEventListener('change', () => {
+      syncStaggered('base');
+      if (baseline) saveBaseline();
+      if (typeof saveAutoState === 'function') saveAutoState();
+    });
     // Initialize hints on load
     updateSpeedoHint();
     updateTireSuffixes();
   }
 
+  // Placard fields show the picked pressure unit
+  function syncPressureUnit() {
+    const unit = $('#base_pressure_unit')?.value || 'bar';
+    ['base_pressure', 'base_pressure_rear'].forEach(id => {
+      const inp = document.getElementById(id);
+      if (!inp) return;
+      inp.placeholder = unit === 'kpa' ? 'kPa' : unit;
+      inp.step = unit === 'bar' ? '0.1' : '1';
+    });
+  }
+
   // Renumber visible setup headings by position (display only, not stored)
   function renumberSetups() {
     $$('#setups .setup-card h4').forEach((h, i) => { h.textContent = `Setup ${i + 1}`; });
@@ -1687,16 +3470,211 @@
       if (typeof updateSessionUI === 'function') updateSessionUI();
     });
     observer.observe(document.getElementById('setups'), { childList: true, subtree: true });
+    $('#plusSizeBtn')?.addEventListener('click', openPlusSizeFinder);
+  }
+
+  // Plus-sizing finder: every standard metric size (section widths 135–355
+  // mm, 25–80 series) on the rim range, kept when its diameter stays within
+  // tolerance of the baseline's front tire, the speedo doesn't read too
+  // slow and the arch keeps its minimum gap. Candidates ride on the
+  // measuring rim width at the baseline's offset.
+  const PLUS_WIDTH_MIN = 135, PLUS_WIDTH_MAX = 355;
+  const PLUS_AR_MIN = 25, PLUS_AR_MAX = 80;
+  const PLUS_MAX_SHOWN = 40;
+  function plusSizeCandidates(base, opts) {
+    const out = [];
+    for (let rim = opts.rimMin; rim <= opts.rimMax; rim++) {
+      // metric section widths end in 5
+      const swFrom = Math.ceil((Math.max(opts.widthMin, PLUS_WIDTH_MIN) - 5) / 10) * 10 + 5;
+      for (let sw = swFrom; sw <= Math.min(opts.widthMax, PLUS_WIDTH_MAX); sw += 10) {
+        for (let ar = PLUS_AR_MIN; ar <= PLUS_AR_MAX; ar += 5) {
+          const tireStr = `${sw}/${ar}R${rim}`;
+          const tireParsed = parseTireSize(tireStr);
+          const tireGeom = tireGeometry(tireParsed);
+          const diamPct = (tireGeom.overallDiaMm / base.tireGeom.overallDiaMm - 1) * 100;
+          if (Math.abs(diamPct) > opts.tolPct) continue;
+          const rimWidthIn = rimWidthRange(tireParsed).measIn;
+          const set = {
+            id: 'plus', tireStr, rimDiamIn: rim, rimWidthIn, etMm: base.etMm, spacerMm: base.spacerMm,
+            correction: 0, bulgePct: base.bulgePct, tireParsed, tireGeom,
+            wheelGeom: wheelGeometry2(rimWidthIn, base.etMm, base.spacerMm)
+          };
+          const speedoPct = -compareSetups(base, set).speedoErrPct + (base.baseSpeedoError || 0);
+          if (speedoPct < -opts.speedoLimitPct) continue;
+          const arch = archClearance(base, set);
+          if (arch && arch.value < opts.minArchMm) continue;
+          out.push({ set, diamPct, speedoPct, arch, widthDeltaMm: tireGeom.sectionWidthMm - base.tireGeom.sectionWidthMm });
+        }
+      }
+    }
+    // Closest diameter first; ties go to the width nearest the baseline
+    return out.sort((a, b) => (Math.abs(a.diamPct) - Math.abs(b.diamPct)) || (Math.abs(a.widthDeltaMm) - Math.abs(b.widthDeltaMm)));
+  }
+
+  // New setup card filled from field values: front / rear map AXLE_FIELDS
+  // suffixes to values (rear = null for a square setup) and extra fills the
+  // per-setup fields (HUB_FIELDS, PER_AXLE_FIELDS). Empty values are skipped.
+  function addSetupCardWith(front, rear = null, extra = {}) {
+    window.__addSetupCard();
+    const card = $$('#setups .setup-card').pop();
+    if (!card) return null;
+    const id = card.dataset.id;
+    const fill = (prefix, vals) => Object.entries(vals || {}).forEach(([suffix, v]) => {
+      const inp = card.querySelector(`#${prefix}_${suffix}`);
+      if (inp && v != null && v !== '' && !Number.isNaN(v)) inp.value = v;
+    });
+    fill(id, front);
+    fill(id, extra);
+    if (rear) {
+      card.querySelector(`#${id}_staggered`).checked = true;
+      syncStaggered(id);
+      fill(`${id}_rear`, rear);
+    }
+    updateTireSuffixes();
+    renderAll();
+    if (typeof saveAutoState === 'function') saveAutoState();
+    return id;
+  }
+  window.TMU.addSetup = addSetupCardWith;
+
+  // New setup card holding a finder result (square, front values)
+  function addSetupFromCandidate(c) {
+    addSetupCardWith({
+      tire: stripRimFromTireSize(c.set.tireStr).size,
+      rim_diam: c.set.rimDiamIn,
+      rim_width: c.set.rimWidthIn,
+      offset: c.set.etMm,
+      spacer: c.set.spacerMm || ''
+    });
+  }
+
+  function openPlusSizeFinder() {
+    const base = baseline;
+    if (!base?.tireGeom) { alert('Apply a valid baseline first.'); return; }
+    const unitMode = $('#unitToggle')?.value || 'metric';
+    const rim = Math.round(base.rimDiamIn) || 17;
+    const sw = Math.round((base.tireGeom.sectionWidthMm - 5) / 10) * 10 + 5;
+
+    let overlay = document.getElementById('plusSizeModal');
+    if (overlay) overlay.remove();
+    overlay = document.createElement('div');
+    overlay.id = 'plusSizeModal';
+    overlay.className = 'modal-overlay is-open';
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-label="Plus-size finder">
+        <div class="modal__head">
+          <h3 class="modal__title">Plus-Size Finder</h3>
+          <button class="modal__close" type="button" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal__body">
+          <div class="hint"${rtlAttr()}>${t('hint_plus_finder', 'Tire sizes that keep the overall diameter of {tire}. Results use the measuring rim width and the baseline offset; adding one creates a setup card you can fine-tune.', { tire: tireLabel(base) })}</div>
+          <div class="grid two">
+            <div>
+              <div class="field"><label>Rim diameter from<input id="plus_rim_min" type="number" step="1" min="10" max="26" value="${rim}" placeholder="in"></label></div>
+              <div class="field"><label>Rim diameter to<input id="plus_rim_max" type="number" step="1" min="10" max="26" value="${rim + 2}" placeholder="in"></label></div>
+              <div class="field"><label>Section width from<input id="plus_width_min" type="number" step="10" min="${PLUS_WIDTH_MIN}" max="${PLUS_WIDTH_MAX}" value="${sw - 20}" placeholder="mm"></label></div>
+              <div class="field"><label>Section width to<input id="plus_width_max" type="number" step="10" min="${PLUS_WIDTH_MIN}" max="${PLUS_WIDTH_MAX}" value="${sw + 40}" placeholder="mm"></label></div>
+            </div>
+            <div>
+              <div class="field"><label>Diameter tolerance (±%)<input id="plus_tol" type="number" step="0.5" min="0" value="2" placeholder="%"></label></div>
+              <div class="field"><label>Max speedo reading slow (%)<input id="plus_speedo" type="number" step="0.5" min="0" value="${-SPEEDO_WARN_PCT}" placeholder="%"></label></div>
+              <div class="field"><label>Min arch clearance<input id="plus_arch" type="number" step="1" min="0" value="${ARCH_WARN_MM}" placeholder="mm"></label></div>
+            </div>
+          </div>
+          <div class="small plus-count"></div>
+          <ul class="plus-list"></ul>
+        </div>
+      </div>`;
+
+    const close = () => overlay.remove();
+    overlay.querySelector('.modal__close').addEventListener('click', close);
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+    const num = (id, dflt) => {
+      const v = parseFloat(overlay.querySelector(`#${id}`).value);
+      return isNaN(v) ? dflt : v;
+    };
+    const list = overlay.querySelector('.plus-list');
+    const count = overlay.querySelector('.plus-count');
+    const search = () => {
+      const rimMin = clamp(Math.round(num('plus_rim_min', rim)), 10, 26);
+      const results = plusSizeCandidates(base, {
+        rimMin,
+        rimMax: clamp(Math.round(num('plus_rim_max', rimMin)), rimMin, 26),
+        widthMin: num('plus_width_min', PLUS_WIDTH_MIN),
+        widthMax: num('plus_width_max', PLUS_WIDTH_MAX),
+        tolPct: Math.abs(num('plus_tol', 2)),
+        speedoLimitPct: Math.abs(num('plus_speedo', -SPEEDO_WARN_PCT)),
+        minArchMm: num('plus_arch', -Infinity)
+      });
+      count.textContent = results.length > PLUS_MAX_SHOWN
+        ? `Showing the best ${PLUS_MAX_SHOWN} of ${results.length} sizes`
+        : `${results.length} size${results.length === 1 ? '' : 's'} found`;
+      list.innerHTML = '';
+      results.slice(0, PLUS_MAX_SHOWN).forEach(c => {
+        const li = document.createElement('li');
+        li.className = 'plus-item';
+        const facts = [
+          `Ø ${c.diamPct >= 0 ? '+' : ''}${c.diamPct.toFixed(1)} %`,
+          `${t('plus_speedo', 'speedo')} ${c.speedoPct >= 0 ? '+' : ''}${c.speedoPct.toFixed(1)} %`,
+          c.arch ? `${t('plus_arch', 'arch')} ${displayLengthSmart(c.arch.value, unitMode, 'mm')}` : '',
+          `${t('plus_rim', 'rim')} ${c.set.rimWidthIn}"`
+        ].filter(Boolean).join(' · ');
+        li.innerHTML = `
+          <span class="plus-size"></span>
+          <span class="plus-facts"></span>
+          <button class="green" type="button">Add as setup</button>`;
+        li.querySelector('.plus-size').textContent = c.set.tireStr;
+        li.querySelector('.plus-facts').textContent = facts;
+        li.querySelector('button').addEventListener('click', () => {
+          addSetupFromCandidate(c);
+          li.classList.add('is-added');
+        });
+        list.appendChild(li);
+      });
+    };
+    overlay.querySelectorAll('input').forEach(inp => inp.addEventListener('input', debounce(search, 150)));
+    search();
+    document.body.appendChild(overlay);
   }
 
   // Session save/load
   const AUTO_KEY = 'tmu_autosave_v1';
+  // Schema version of serializeSession output. Bump it when the shape
+  // changes and add the step that upgrades the previous version below.
+  const SESSION_VERSION = 1;
+  // SESSION_MIGRATIONS[n] upgrades a version-n session to n + 1
+  const SESSION_MIGRATIONS = {
+    // Unversioned sessions: 'both' was the old name of the international
+    // unit mode, and sessions from before staggered support lack the
+    // rear-axle keys
+    0: sess => ({
+      ...sess,
+      unit: sess.unit === 'both' ? 'international' : sess.unit,
+      base: sess.base ? { staggered: false, rear: null, ...sess.base } : sess.base,
+      setups: (Array.isArray(sess.setups) ? sess.setups : []).map(s => ({ staggered: false, rear: null, ...s }))
+    })
+  };
+
+  // Brings a stored session up to SESSION_VERSION; throws for sessions
+  // written by a newer version of the calculator
+  function migrateSession(sess) {
+    let v = Number.isInteger(sess.version) ? sess.version : 0;
+    if (v > SESSION_VERSION) throw new Error(`made by a newer version of the calculator (schema ${v})`);
+    let out = sess;
+    for (; v < SESSION_VERSION; v++) out = SESSION_MIGRATIONS[v](out);
+    return { ...out, version: SESSION_VERSION };
+  }
 
   function serializeSession() {
     const base = {
       tire: $('#base_tire').value,
       correction: parseFloat($('#base_correction').value || '0') || 0,
       bulge: $('#base_bulge')?.value ?? '5',
+      load_index: $('#base_load_index')?.value ?? '',
+      load_type: $('#base_load_type')?.value ?? '',
+      wheel_weight: $('#base_wheel_weight')?.value ?? '',
+      tire_weight: $('#base_tire_weight')?.value ?? '',
       rim_diam: $('#base_rim_diam').value,
       rim_width: $('#base_rim_width').value,
       offset: $('#base_offset').value,
@@ -1706,37 +3684,71 @@
       arch_clear: $('#base_arch_clear').value,
       speedo_error: $('#base_speedo_error').value,
       th_inner: $('#th_inner').value,
-      th_outer: $('#th_outer').value
+      th_outer: $('#th_outer').value,
+      rim_adjust: !!$('#base_rim_adjust')?.checked,
+      kpi: $('#base_kpi')?.value ?? '',
+      scrub: $('#base_scrub')?.value ?? '',
+      sweep: !!$('#base_sweep')?.checked,
+      sweep_cfg: Object.fromEntries(SWEEP_FIELDS.map(f => [f, $(`#base_${f}`)?.value ?? ''])),
+      drivetrain: $('#base_drivetrain')?.value || 'fwd',
+      awd_tol: $('#base_awd_tol')?.value ?? '',
+      pressure: $('#base_pressure')?.value ?? '',
+      pressure_rear: $('#base_pressure_rear')?.value ?? '',
+      pressure_unit: $('#base_pressure_unit')?.value || 'bar',
+      ...Object.fromEntries(PER_AXLE_FIELDS.concat(HUB_FIELDS, HUB_BASE_FIELDS).map(f => [f, $(`#base_${f}`)?.value ?? ''])),
+      staggered: !!$('#base_staggered')?.checked,
+      rear: null
     };
+    if (base.staggered) {
+      base.rear = {};
+      AXLE_FIELDS.concat(CLEAR_FIELDS).forEach(f => { base.rear[f] = $(`#base_rear_${f}`)?.value ?? ''; });
+    }
     const setups = [];
     $$('#setups .setup-card').forEach(card => {
-      const get = sel => card.querySelector(sel)?.value || '';
-      setups.push({
-        tire: get('input[id$="_tire"]'),
-        correction: get('input[id$="_correction"]'),
-        bulge: get('input[id$="_bulge"]'),
-        rim_diam: get('input[id$="_rim_diam"]'),
-        rim_width: get('input[id$="_rim_width"]'),
-        offset: get('input[id$="_offset"]'),
-        spacer: get('input[id$="_spacer"]')
-      });
+      const id = card.dataset.id;
+      const get = f => card.querySelector(`#${id}_${f}`)?.value || '';
+      const s = {};
+      AXLE_FIELDS.concat(PER_AXLE_FIELDS, HUB_FIELDS).forEach(f => { s[f] = get(f); });
+      s.staggered = !!card.querySelector(`#${id}_staggered`)?.checked;
+      s.rear = null;
+      if (s.staggered) {
+        s.rear = {};
+        AXLE_FIELDS.forEach(f => { s.rear[f] = get(`rear_${f}`); });
+      }
+      setups.push(s);
     });
     const unit = $('#unitToggle').value;
     const themeDark = $('#themeToggle')?.checked ?? (document.documentElement.getAttribute('data-theme') === 'dark');
-    return { base, setups, unit, themeDark, selectedSetupId };
+    const gearing = {
+      ratios: $('#gear_ratios')?.value ?? '',
+      final: $('#gear_final')?.value ?? '',
+      speed: $('#gear_speed')?.value ?? '',
+      redline: $('#gear_redline')?.value ?? ''
+    };
+    const calibration = {
+      pulses: $('#cal_pulses')?.value ?? '',
+      circ: $('#cal_circ')?.value ?? ''
+    };
+    const solver = Object.fromEntries(SOLVER_FIELDS.map(f => [f, $(`#solver_${f}`)?.value ?? '']));
+    return { version: SESSION_VERSION, base, setups, gearing, calibration, solver, unit, themeDark, selectedSetupId };
   }
 
   function applySession(sess) {
     if (!sess) return;
+    sess = migrateSession(sess);
     // Units only. Theme is a site-wide preference managed by shared.js
     // (persisted across pages), so we intentionally do not override it here.
-    if (sess.unit) $('#unitToggle').value = sess.unit === 'both' ? 'international' : sess.unit;
+    if (sess.unit) $('#unitToggle').value = sess.unit;
 
     // Baseline
     if (sess.base) {
       $('#base_tire').value = sess.base.tire || '';
       $('#base_correction').value = sess.base.correction ?? 0;
       if ($('#base_bulge')) $('#base_bulge').value = (sess.base.bulge === '' || sess.base.bulge == null) ? 5 : sess.base.bulge;
+      if ($('#base_load_index')) $('#base_load_index').value = sess.base.load_index ?? '';
+      if ($('#base_load_type')) $('#base_load_type').value = sess.base.load_type ?? '';
+      if ($('#base_wheel_weight')) $('#base_wheel_weight').value = sess.base.wheel_weight ?? '';
+      if ($('#base_tire_weight')) $('#base_tire_weight').value = sess.base.tire_weight ?? '';
       $('#base_rim_diam').value = sess.base.rim_diam || '';
       $('#base_rim_width').value = sess.base.rim_width || '';
       $('#base_offset').value = sess.base.offset || '';
@@ -1747,10 +3759,55 @@
       $('#base_speedo_error').value = sess.base.speedo_error || '';
       $('#th_inner').value = sess.base.th_inner || '';
       $('#th_outer').value = sess.base.th_outer || '';
+      // Rear axle; sessions saved before staggered support have none (square)
+      const rear = sess.base.rear || {};
+      AXLE_FIELDS.concat(CLEAR_FIELDS).forEach(f => {
+        const inp = $(`#base_rear_${f}`);
+        if (inp) inp.value = (rear[f] === '' || rear[f] == null) ? (inp.defaultValue ?? '') : rear[f];
+      });
+      if ($('#base_staggered')) $('#base_staggered').checked = !!sess.base.staggered;
+      if ($('#base_rim_adjust')) $('#base_rim_adjust').checked = !!sess.base.rim_adjust;
+      if ($('#base_kpi')) $('#base_kpi').value = sess.base.kpi ?? '';
+      if ($('#base_sweep')) $('#base_sweep').checked = !!sess.base.sweep;
+      SWEEP_FIELDS.forEach(f => {
+        const inp = $(`#base_${f}`), v = sess.base.sweep_cfg?.[f];
+        if (inp) inp.value = (v === '' || v == null) ? inp.defaultValue : v;
+      });
+      if ($('#base_scrub')) $('#base_scrub').value = sess.base.scrub ?? '';
+      if ($('#base_drivetrain')) $('#base_drivetrain').value = sess.base.drivetrain || 'fwd';
+      if ($('#base_awd_tol')) $('#base_awd_tol').value = (sess.base.awd_tol === '' || sess.base.awd_tol == null) ? AWD_TOL_PCT : sess.base.awd_tol;
+      if ($('#base_pressure_unit')) $('#base_pressure_unit').value = sess.base.pressure_unit || 'bar';
+      if ($('#base_pressure')) $('#base_pressure').value = sess.base.pressure ?? '';
+      if ($('#base_pressure_rear')) $('#base_pressure_rear').value = sess.base.pressure_rear ?? '';
+      syncPressureUnit();
+      PER_AXLE_FIELDS.concat(HUB_FIELDS, HUB_BASE_FIELDS).forEach(f => { if ($(`#base_${f}`)) $(`#base_${f}`).value = sess.base[f] ?? ''; });
+      syncStaggered('base');
       // Refresh speedo hint to reflect loaded value
       updateSpeedoHint();
     }
 
+    // Gearing panel (absent in older sessions: keep the current values)
+    if (sess.gearing) {
+      ['ratios', 'final', 'speed', 'redline'].forEach(f => {
+        const inp = $(`#gear_${f}`);
+        if (inp) inp.value = sess.gearing[f] ?? '';
+      });
+    }
+
+    if (sess.calibration) {
+      ['pulses', 'circ'].forEach(f => {
+        const inp = $(`#cal_${f}`);
+        if (inp) inp.value = sess.calibration[f] ?? '';
+      });
+    }
+
+    if (sess.solver) {
+      SOLVER_FIELDS.forEach(f => {
+        const inp = $(`#solver_${f}`), v = sess.solver[f];
+        if (inp) inp.value = (v === '' || v == null) ? inp.defaultValue : v;
+      });
+    }
+
     // Rebuild setups
     $('#setups').innerHTML = '';
     // Add as many cards as needed
@@ -1760,8 +3817,9 @@
     const cards = $$('#setups .setup-card');
     cards.forEach((card, i) => {
       const s = sess.setups[i] || {};
+      const id = card.dataset.id;
       const set = (suffix, val) => {
-        const inp = card.querySelector(`input[id$="_${suffix}"]`);
+        const inp = card.querySelector(`#${id}_${suffix}`);
         if (inp) inp.value = val ?? '';
       };
       set('tire', s.tire);
@@ -1771,14 +3829,26 @@
       set('rim_width', s.rim_width);
       set('offset', s.offset);
       set('spacer', s.spacer);
+      set('load_index', s.load_index);
+      set('load_type', s.load_type);
+      set('wheel_weight', s.wheel_weight);
+      set('tire_weight', s.tire_weight);
+      PER_AXLE_FIELDS.concat(HUB_FIELDS).forEach(f => set(f, s[f]));
+      if (s.rear) {
+        AXLE_FIELDS.forEach(f => set(`rear_${f}`, f === 'bulge' && (s.rear.bulge === '' || s.rear.bulge == null) ? 5 : s.rear[f]));
+      }
+      const box = card.querySelector(`#${id}_staggered`);
+      if (box) box.checked = !!s.staggered;
+      syncStaggered(id);
     });
+    updateTireSuffixes();
 
     // Save baseline to compute geoms and render
     saveBaseline();
 
     // Restore selected tab if possible
     selectedSetupId = null;
-    const validSetups = getSetups().filter(s => !s.diamMismatch && s.tireGeom && s.wheelGeom);
+    const validSetups = getSetups().filter(axlesValid);
     if (sess.selectedSetupId && validSetups.some(s => s.id === sess.selectedSetupId)) {
       selectedSetupId = sess.selectedSetupId;
     } else {
@@ -1825,9 +3895,9 @@
     updateSessionUI();
   }
 
-  function saveSession() {
+  function saveSession(defaultName) {
     const data = serializeSession();
-    const name = prompt('Save session as (name):', new Date().toLocaleString());
+    const name = prompt('Save session as (name):', defaultName || new Date().toLocaleString());
     if (!name) return;
     const item = { id: Date.now(), name, ts: Date.now(), data };
     const arr = readSessions();
@@ -1873,6 +3943,10 @@
           <div class="hint"${window.ToolMeUp?.lang?.() === 'ar' ? ' dir="rtl"' : ''}>${window.ToolMeUp?.hintText?.('hint_sessions') || 'Click a session name to load it.'}</div>
           <ul class="session-list"></ul>
         </div>
+        <div class="modal__foot">
+          <button class="session-import" type="button">Import…</button>
+          <button class="session-export-all" type="button">Export All</button>
+        </div>
       </div>`;
 
     const close = () => overlay.remove();
@@ -1890,15 +3964,18 @@
         li.innerHTML = `
           <button class="session-load" type="button" title="Load this session"></button>
           <span class="session-date"></span>
+          <button class="session-icon export" type="button" title="Export to file">&#8615;</button>
           <button class="session-icon rename" type="button" title="Rename">&#9998;</button>
           <button class="session-icon delete" type="button" title="Delete">&#128465;</button>`;
         li.querySelector('.session-load').textContent = it.name;
         li.querySelector('.session-date').textContent = new Date(it.ts).toLocaleDateString();
         li.querySelector('.session-load').addEventListener('click', () => {
-          applySession(it.data);
+          try { applySession(it.data); }
+          catch (e) { alert(`Can't load "${it.name}": ${e.message}.`); return; }
           setLoadedSession(it);
           close();
         });
+        li.querySelector('.export').addEventListener('click', () => exportSessions([it]));
         li.querySelector('.rename').addEventListener('click', () => {
           const newName = prompt('Rename session:', it.name);
           if (!newName || newName === it.name) return;
@@ -1920,10 +3997,192 @@
         list.appendChild(li);
       });
     };
+    overlay.querySelector('.session-export-all').addEventListener('click', () => exportSessions(readSessions()));
+    overlay.querySelector('.session-import').addEventListener('click', () => { close(); pickSessionFile(); });
     rebuild();
     document.body.appendChild(overlay);
   }
 
+  // Session files (.toolmeup.json): {format, version, exported, sessions:
+  // [{name, ts, data}]}, each data carrying its own schema version so
+  // files from older calculators import through migrateSession
+  const SESSION_FILE_FORMAT = 'toolmeup-sessions';
+  // Session fields that hold text or flags; everything else is a number
+  const SESSION_TEXT_FIELDS = new Set(['tire', 'load_type', 'pcd', 'thread', 'seat', 'lug_type', 'drivetrain', 'pressure_unit', 'ratios']);
+  const SESSION_BOOL_FIELDS = new Set(['staggered', 'rim_adjust', 'sweep']);
+
+  function exportSessions(items) {
+    if (!items.length) { alert('No saved sessions.'); return; }
+    const file = {
+      format: SESSION_FILE_FORMAT,
+      version: SESSION_VERSION,
+      exported: new Date().toISOString(),
+      sessions: items.map(({ name, ts, data }) => ({ name, ts, data }))
+    };
+    const stem = items.length === 1
+      ? items[0].name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'session'
+      : `toolmeup-sessions-${new Date().toISOString().slice(0, 10)}`;
+    downloadFile(`${stem}.toolmeup.json`, JSON.stringify(file, null, 2), 'application/json');
+  }
+
+  // Field-level problems of one imported session as {path, msg, fatal};
+  // fatal ones keep the session out
+  function validateSessionData(data) {
+    const problems = [];
+    const add = (path, msg, fatal = false) => problems.push({ path, msg, fatal });
+    const isObj = v => !!v && typeof v === 'object' && !Array.isArray(v);
+    const fields = (obj, path) => Object.entries(obj).forEach(([k, v]) => {
+      const at = `${path}.${k}`;
+      if (k === 'rear' || k === 'sweep_cfg') {
+        if (v != null && !isObj(v)) add(at, 'must be a group of fields', true);
+        else if (v) fields(v, at);
+      } else if (SESSION_BOOL_FIELDS.has(k)) {
+        if (typeof v !== 'boolean') add(at, `expected true or false, got ${JSON.stringify(v)}`);
+      } else if (v != null && !['string', 'number'].includes(typeof v)) {
+        add(at, 'must be a single value', true);
+      } else if (!SESSION_TEXT_FIELDS.has(k) && v !== '' && v != null && !Number.isFinite(Number(v))) {
+        add(at, `"${v}" is not a number and will be left empty`);
+      }
+    });
+    if (!isObj(data)) { add('data', 'is not a session', true); return problems; }
+    if (data.version != null && !Number.isInteger(data.version)) add('version', 'must be a whole number', true);
+    else if (data.version > SESSION_VERSION) add('version', `${data.version} is newer than this calculator supports (${SESSION_VERSION})`, true);
+    if (!isObj(data.base)) add('base', 'is missing', true);
+    else fields(data.base, 'base');
+    if (data.setups != null && !Array.isArray(data.setups)) add('setups', 'must be a list', true);
+    else (data.setups || []).forEach((st, i) => {
+      if (!isObj(st)) add(`setups[${i + 1}]`, 'is not a setup', true);
+      else fields(st, `setups[${i + 1}]`);
+    });
+    ['gearing', 'calibration', 'solver'].forEach(k => {
+      if (data[k] == null) return;
+      if (!isObj(data[k])) add(k, 'must be a group of fields', true);
+      else fields(data[k], k);
+    });
+    if (data.unit != null && !['metric', 'imperial', 'international', 'both'].includes(data.unit)) {
+      add('unit', `"${data.unit}" is not a unit mode; the current one is kept`);
+    }
+    return problems;
+  }
+
+  // Reads a session file (also a bare session or a raw tmu_sessions list)
+  // into {ok: [{name, ts, data}], problems: [{name, path, msg, fatal}], total}
+  function parseSessionFile(text) {
+    let j;
+    try { j = JSON.parse(text); } catch (_) { throw new Error('The file is not valid JSON.'); }
+    let list;
+    if (j && j.format === SESSION_FILE_FORMAT) {
+      if (!Array.isArray(j.sessions)) throw new Error('The file has no session list.');
+      list = j.sessions;
+    } else if (Array.isArray(j)) {
+      list = j;
+    } else if (j && typeof j === 'object' && j.base) {
+      list = [{ data: j }];
+    } else {
+      throw new Error('This is not a ToolMeUp session file.');
+    }
+    const ok = [], problems = [];
+    list.forEach((it, i) => {
+      const named = typeof it?.name === 'string' && it.name.trim();
+      const name = named ? it.name.trim() : `Imported session ${i + 1}`;
+      const found = validateSessionData(it?.data).map(p => ({ name, ...p }));
+      if (!named) found.unshift({ name, path: 'name', msg: `is missing; using "${name}"`, fatal: false });
+      if (!found.some(p => p.fatal)) {
+        try { migrateSession(it.data); }
+        catch (e) { found.push({ name, path: 'version', msg: e.message, fatal: true }); }
+      }
+      problems.push(...found);
+      if (!found.some(p => p.fatal)) ok.push({ name, ts: Number.isFinite(it.ts) ? it.ts : Date.now(), data: it.data });
+    });
+    return { ok, problems, total: list.length };
+  }
+
+  function pickSessionFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const f = input.files?.[0];
+      if (!f) return;
+      f.text().then(text => openImportDialog(parseSessionFile(text), f.name))
+        .catch(e => alert(`Import failed: ${e.message}`));
+    });
+    input.click();
+  }
+
+  // Import summary: field-level problems, and merge or replace for names
+  // that already exist
+  function openImportDialog(result, fileName) {
+    const existing = new Set(readSessions().map(it => it.name));
+    const clashes = result.ok.filter(it => existing.has(it.name));
+
+    let overlay = document.getElementById('importModal');
+    if (overlay) overlay.remove();
+    overlay = document.createElement('div');
+    overlay.id = 'importModal';
+    overlay.className = 'modal-overlay is-open';
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-label="Import sessions">
+        <div class="modal__head">
+          <h3 class="modal__title">Import Sessions</h3>
+          <button class="modal__close" type="button" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal__body">
+          <div class="small import-file"></div>
+          <p class="import-summary"></p>
+          <ul class="import-problems"></ul>
+          <div class="import-clash" ${clashes.length ? '' : 'hidden'}>
+            <p class="import-clash-names"></p>
+            <label class="toggle"><input type="radio" name="importClash" value="merge" checked> <span>Keep both (imported copies get a numbered name)</span></label>
+            <label class="toggle"><input type="radio" name="importClash" value="replace"> <span>Replace the saved sessions</span></label>
+          </div>
+        </div>
+        <div class="modal__foot">
+          <button class="import-cancel" type="button">Cancel</button>
+          <button class="import-go primary" type="button" ${result.ok.length ? '' : 'disabled'}>Import</button>
+        </div>
+      </div>`;
+    overlay.querySelector('.import-file').textContent = fileName || '';
+    overlay.querySelector('.import-summary').textContent =
+      `${result.ok.length} of ${result.total} session${result.total === 1 ? '' : 's'} can be imported.`;
+    const list = overlay.querySelector('.import-problems');
+    result.problems.forEach(p => {
+      const li = document.createElement('li');
+      li.className = p.fatal ? 'val-bad' : 'val-warn';
+      li.textContent = `${p.name} · ${p.path} ${p.msg}${p.fatal ? ' (skipped)' : ''}`;
+      list.appendChild(li);
+    });
+    overlay.querySelector('.import-clash-names').textContent =
+      `Already saved under the same name: ${clashes.map(it => `"${it.name}"`).join(', ')}.`;
+
+    const close = () => overlay.remove();
+    overlay.querySelector('.modal__close').addEventListener('click', close);
+    overlay.querySelector('.import-cancel').addEventListener('click', close);
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.querySelector('.import-go').addEventListener('click', () => {
+      const replace = overlay.querySelector('input[name="importClash"]:checked')?.value === 'replace';
+      const arr = readSessions();
+      const names = new Set(arr.map(it => it.name));
+      result.ok.forEach((it, i) => {
+        const same = arr.find(x => x.name === it.name);
+        if (same && replace) {
+          same.data = it.data;
+          same.ts = it.ts;
+          return;
+        }
+        let name = it.name;
+        for (let n = 2; names.has(name); n++) name = `${it.name} (${n})`;
+        names.add(name);
+        arr.push({ id: Date.now() + i, name, ts: it.ts, data: it.data });
+      });
+      writeSessions(arr);
+      close();
+      updateSessionUI();
+      loadSession();
+    });
+    document.body.appendChild(overlay);
+  }
+
   // Autosave current working state to restore on reload
   function saveAutoState() {
     try {
@@ -1933,12 +4192,518 @@
   }
 
   function tryAutoLoad() {
+    const data = readAutoState();
+    if (readShareHash()) loadSharedSession(data, data);
+    else if (data) {
+      try { applySession(data); } catch (_) { /* autosave from a newer version: start fresh */ }
+    }
+  }
+  function readAutoState() {
+    try { return JSON.parse(localStorage.getItem(AUTO_KEY) || 'null'); }
+    catch (_) { return null; /* ignore parse errors */ }
+  }
+
+  // Share links: the session (minus the sender's theme) as deflated JSON in
+  // the URL fragment, "#s1=<base64url>". Browsers without CompressionStream
+  // write (and still read) the uncompressed "#s0=" form.
+  const SHARE_RE = /^#s([01])=([A-Za-z0-9_-]+)$/;
+  const NO_INFLATE = 'This browser cannot open compressed share links.';
+  const NEWER_LINK = 'This share link was made by a newer version of the calculator. Reload the page and try again.';
+
+  function toBase64Url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  function fromBase64Url(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+  function pipeBytes(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(buf => new Uint8Array(buf));
+  }
+  function encodeShare(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    if (typeof CompressionStream !== 'function') return Promise.resolve(`s0=${toBase64Url(bytes)}`);
+    return pipeBytes(bytes, new CompressionStream('deflate-raw')).then(z => `s1=${toBase64Url(z)}`);
+  }
+  function decodeShare(hash) {
+    const m = SHARE_RE.exec(hash || '');
+    if (!m) return Promise.resolve(null);
+    return Promise.resolve().then(() => {
+      const bytes = fromBase64Url(m[2]);
+      if (m[1] === '0') return bytes;
+      if (typeof DecompressionStream !== 'function') throw new Error(NO_INFLATE);
+      return pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    }).then(bytes => JSON.parse(new TextDecoder().decode(bytes)));
+  }
+  function readShareHash() { return SHARE_RE.test(location.hash) ? location.hash : null; }
+  function clearShareHash() {
+    try { history.replaceState(null, '', location.pathname + location.search); }
+    catch (_) { location.hash = ''; }
+  }
+
+  function copyShareLink() {
+    const { themeDark, ...data } = serializeSession();
+    encodeShare(data).then(frag => {
+      const url = `${location.origin}${location.pathname}${location.search}#${frag}`;
+      const done = () => alert(url.length > 8000
+        ? 'Share link copied. It is very long, so some chat apps may cut it off; export the session file instead if it fails to open.'
+        : 'Share link copied.');
+      if (navigator.clipboard?.writeText) {
+        navigator.clipboard.writeText(url).then(done, () => prompt('Copy this share link:', url));
+      } else {
+        prompt('Copy this share link:', url);
+      }
+    }).catch(() => alert('Could not create a share link in this browser.'));
+  }
+
+  // Work that would be lost: anything beyond the empty defaults that isn't
+  // already stored as a named session
+  function hasUnsavedWork(data, incoming) {
+    if (!data || (!data.setups?.length && !data.base?.tire)) return false;
+    const strip = ({ themeDark, selectedSetupId, ...rest }) => JSON.stringify(rest);
+    const cur = strip(data);
+    if (incoming && cur === strip(incoming)) return false;
+    return !readSessions().some(it => it.data && strip(it.data) === cur);
+  }
+  // Applies the session in the URL fragment; `current` is the state it
+  // would replace (the autosave on page load, the live form on hashchange)
+  // and `fallback` what to show instead if the link is declined or broken
+  function loadSharedSession(current, fallback) {
+    const hash = readShareHash();
+    if (!hash) return;
+    decodeShare(hash).then(data => {
+      clearShareHash();
+      if (!data || typeof data !== 'object' || !data.base) throw new Error('bad payload');
+      if (data.version > SESSION_VERSION) throw new Error(NEWER_LINK);
+      if (hasUnsavedWork(current, data) &&
+          !confirm('This link contains a shared fitment session. Replace your current unsaved work with it?')) {
+        if (fallback) applySession(fallback);
+        return;
+      }
+      applySession(data);
+      setLoadedSession(null);
+      saveAutoState();
+      if (confirm('Shared session loaded. Save it as a named session?')) saveSession(`Shared ${new Date().toLocaleString()}`);
+    }).catch(e => {
+      clearShareHash();
+      if (fallback) applySession(fallback);
+      alert([NO_INFLATE, NEWER_LINK].includes(e?.message) ? e.message : 'This share link is damaged or incomplete.');
+    });
+  }
+
+  // Printable customer report: a standalone, print-styled HTML document
+  // (the browser's print dialog saves it as PDF) with the shop header, the
+  // compared setups, their graded alerts, high-resolution drawings and the
+  // full comparison tables. Follows the page language, right-to-left in Arabic.
+  const REPORT_SHOP_KEY = 'tmu_report_shop';
+  const REPORT_IMG_SCALE = 3; // drawings at 1680x960 px
+  const REPORT_LOGO_MAX_W = 600, REPORT_LOGO_MAX_H = 200; // px, keeps the stored logo small
+  const REPORT_CSS = `
+@page { size: A4; margin: 14mm 12mm; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 12px/1.45 Inter, "Segoe UI", Tahoma, Arial, sans-serif; color: #111; background: #fff; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+.rpt { max-width: 190mm; margin: 0 auto; padding: 16px; }
+.rpt-head { display: flex; align-items: center; gap: 16px; border-bottom: 2px solid #111; padding-bottom: 10px; }
+.rpt-logo { max-height: 64px; max-width: 200px; }
+.rpt-shop { flex: 1; }
+.rpt-shop h1 { margin: 0; font-size: 20px; }
+.rpt-contact, .rpt-note { white-space: pre-line; }
+.rpt-contact, .rpt-meta { color: #555; }
+.rpt-meta { text-align: end; }
+.rpt-meta strong { display: block; color: #111; font-size: 16px; }
+.rpt-sec { font-size: 14px; margin: 18px 0 6px; padding-bottom: 3px; border-bottom: 1px solid #ccc; break-after: avoid; }
+.rpt-sub { font-size: 12px; margin: 10px 0 4px; break-after: avoid; }
+.rpt-note { border: 1px solid #ccc; border-radius: 6px; padding: 8px 10px; margin-top: 12px; }
+.rpt-specs { width: 100%; border-collapse: collapse; }
+.rpt-specs th, .rpt-specs td { text-align: start; padding: 4px 6px; border-bottom: 1px solid #ddd; }
+.alert { display: flex; gap: 8px; align-items: baseline; padding: 5px 8px; margin: 4px 0; border: 1px solid #ccc; border-inline-start-width: 4px; border-radius: 4px; break-inside: avoid; }
+.alert.good { border-color: #15803d; }
+.alert.warn { border-color: #b45309; }
+.alert.bad { border-color: #b91c1c; }
+.rpt-grade { flex: none; min-width: 60px; font-size: 10px; font-weight: 700; text-transform: uppercase; }
+.good .rpt-grade, .val-good { color: #15803d; }
+.warn .rpt-grade, .val-warn { color: #b45309; }
+.bad .rpt-grade, .val-bad { color: #b91c1c; }
+.rpt-figs { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin: 6px 0; break-inside: avoid; }
+.rpt-figs figure { margin: 0; }
+.rpt-figs img { width: 100%; border: 1px solid #ccc; border-radius: 4px; }
+.rpt-figs figcaption { font-size: 10px; color: #555; text-align: center; }
+.report-section { margin: 10px 0; }
+.report-title { display: block; margin: 0; font-size: 13px; font-weight: 700; list-style: none; }
+.report-title::-webkit-details-marker { display: none; }
+.report-table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+.report-table th, .report-table td { padding: 4px 6px; vertical-align: top; text-align: end; overflow-wrap: break-word; }
+.report-table td { border-top: 1px solid #ddd; }
+.report-table th:first-child, .report-table td:first-child { width: 36%; text-align: start; }
+.report-table tr { break-inside: avoid; }
+.report-head-wrap .report-table th { border-bottom: 2px solid #111; }
+.report-label, .report-value { font-weight: 600; }
+.report-col-sub, .report-desc { color: #555; font-size: 10px; font-weight: 400; }
+.report-axle td { color: #555; font-size: 10px; font-weight: 700; text-transform: uppercase; }
+.rpt-foot { margin-top: 18px; padding-top: 6px; border-top: 1px solid #ccc; color: #777; font-size: 10px; }
+@media print { .rpt { max-width: none; padding: 0; } }
+`;
+
+  function readReportShop() {
+    try { return JSON.parse(localStorage.getItem(REPORT_SHOP_KEY) || '{}') || {}; }
+    catch (_) { return {}; }
+  }
+  function writeReportShop(shop) {
+    try { localStorage.setItem(REPORT_SHOP_KEY, JSON.stringify(shop)); }
+    catch (_) { alert('Could not save the shop details: the logo is too large for browser storage.'); }
+  }
+  const escHtml = s => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+  // Reads an uploaded logo, scaled down to fit REPORT_LOGO_MAX_*, as a PNG data URL
+  function readLogoFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onerror = () => reject(reader.error);
+      reader.onload = () => {
+        const img = new Image();
+        img.onerror = () => reject(new Error('not an image'));
+        img.onload = () => {
+          // SVGs without width/height report 0; draw them at the max box
+          const w = img.naturalWidth || REPORT_LOGO_MAX_W, h = img.naturalHeight || REPORT_LOGO_MAX_H;
+          const k = Math.min(1, REPORT_LOGO_MAX_W / w, REPORT_LOGO_MAX_H / h);
+          const cv = document.createElement('canvas');
+          cv.width = Math.max(1, Math.round(w * k));
+          cv.height = Math.max(1, Math.round(h * k));
+          cv.getContext('2d').drawImage(img, 0, 0, cv.width, cv.height);
+          resolve(cv.toDataURL('image/png'));
+        };
+        img.src = reader.result;
+      };
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // Rim and side view of one setup per axle, drawn at REPORT_IMG_SCALE on
+  // the page canvases and captured as PNGs (the caller re-renders after)
+  function reportDrawings(set, axles, unitMode) {
+    reportScale = REPORT_IMG_SCALE;
     try {
-      const raw = localStorage.getItem(AUTO_KEY);
-      if (!raw) return;
-      const data = JSON.parse(raw);
-      if (data) applySession(data);
-    } catch (_) { /* ignore parse errors */ }
+      return axles.map(axle => {
+        const b = axleOf(baseline, axle), s = axleOf(set, axle);
+        drawRimView(b, s);
+        drawSideView(b, s, unitMode);
+        return { axle, rim: $('#RimView').toDataURL('image/png'), side: $('#sideView').toDataURL('image/png') };
+      });
+    } finally {
+      reportScale = 0;
+    }
+  }
+
+  // Wheel size line for the setups table: "18×8.5" ET35 + 10 mm spacer"
+  function wheelSpec(s) {
+    return `${s.rimDiamIn}×${s.rimWidthIn}" ET${s.etMm}${s.spacerMm > 0 ? ` + ${s.spacerMm} mm spacer` : ''}`;
+  }
+
+  // opts: {shop: {name, contact, logo}, note, setups, autoPrint}
+  function buildReportHtml(opts) {
+    const unitMode = $('#unitToggle').value;
+    const lang = window.ToolMeUp?.lang?.() || 'en';
+    const dir = lang === 'ar' ? 'rtl' : 'ltr';
+    const date = new Date().toLocaleDateString(lang === 'ar' ? 'ar' : undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    const { shop, setups } = opts;
+    const names = setups.map((s, i) => t('rpt_setup', 'Setup {n}', { n: i + 1 }));
+    const axlesFor = set => (hasRearAxle(baseline) || hasRearAxle(set) ? ['front', 'rear'] : ['front']);
+    const axleName = axle => (axle === 'rear' ? t('axle_rear', 'Rear') : t('axle_front', 'Front'));
+    const grades = { good: t('rpt_grade_good', 'OK'), warn: t('rpt_grade_warn', 'Check'), bad: t('rpt_grade_bad', 'Problem') };
+
+    let tables, perSetup;
+    try {
+      // Comparison tables for just these setups, every section expanded
+      renderComparison(baseline, setups, unitMode);
+      const tpl = document.createElement('template');
+      tpl.innerHTML = $('#comparison').innerHTML;
+      tpl.content.querySelectorAll('details').forEach(d => { d.open = true; });
+      tables = tpl.innerHTML;
+
+      perSetup = setups.map((s, i) => {
+        const axles = axlesFor(s);
+        const alerts = axles.map(axle => {
+          const list = calcAlerts(axleOf(baseline, axle), axleOf(s, axle), s, axle).map(a =>
+            `<div class="alert ${a.cls}"><span class="rpt-grade">${grades[a.cls] || ''}</span><span>${a.text}</span></div>`).join('');
+          return (axles.length > 1 ? `<h4 class="rpt-sub">${axleName(axle)}</h4>` : '') + list;
+        }).join('');
+        const figs = reportDrawings(s, axles, unitMode).map(d => `
+          ${axles.length > 1 ? `<h4 class="rpt-sub">${axleName(d.axle)}</h4>` : ''}
+          <div class="rpt-figs">
+            <figure><img src="${d.rim}" alt=""><figcaption>${t('caption_rim_view', 'Wheel and tire cross-section comparison')}</figcaption></figure>
+            <figure><img src="${d.side}" alt=""><figcaption>${t('caption_side_view', 'Tires side view comparison')}</figcaption></figure>
+          </div>`).join('');
+        return `<h3 class="rpt-sec">${names[i]} · ${escHtml(setupLabel(s))}</h3>
+          <h4 class="rpt-sub">${t('rpt_checks', 'Checks')}</h4>${alerts || `<p>${t('rpt_no_alerts', 'No remarks.')}</p>`}
+          <h4 class="rpt-sub">${t('rpt_drawings', 'Drawings')}</h4>${figs}`;
+      }).join('');
+    } finally {
+      renderAll(); // back to the on-screen setups and canvas sizes
+    }
+
+    const specRow = (name, s) => `<tr><th>${name}</th><td>${escHtml(setupLabel(s))}</td>
+      <td>${escHtml(s.rear ? `${wheelSpec(s)} / ${wheelSpec(s.rear)}` : wheelSpec(s))}</td></tr>`;
+    const autoPrint = opts.autoPrint ? `<script>addEventListener('load', () => { focus(); print(); });<\/script>` : '';
+    return `<!doctype html>
+<html lang="${lang}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<title>${escHtml([t('rpt_title', 'Fitment Report'), shop.name].filter(Boolean).join(' · '))}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<div class="rpt">
+  <header class="rpt-head">
+    ${shop.logo ? `<img class="rpt-logo" src="${shop.logo}" alt="">` : ''}
+    <div class="rpt-shop">
+      ${shop.name ? `<h1>${escHtml(shop.name)}</h1>` : ''}
+      ${shop.contact ? `<div class="rpt-contact">${escHtml(shop.contact)}</div>` : ''}
+    </div>
+    <div class="rpt-meta"><strong>${t('rpt_title', 'Fitment Report')}</strong>${escHtml(date)}</div>
+  </header>
+  ${opts.note ? `<div class="rpt-note">${escHtml(opts.note)}</div>` : ''}
+  <h2 class="rpt-sec">${t('rpt_setups', 'Compared setups')}</h2>
+  <table class="rpt-specs">
+    <thead><tr><th></th><th>${t('rpt_tire', 'Tire')}</th><th>${t('rpt_wheel', 'Wheel')}</th></tr></thead>
+    <tbody>${specRow(t('rpt_baseline', 'Baseline'), baseline)}${setups.map((s, i) => specRow(names[i], s)).join('')}</tbody>
+  </table>
+  ${perSetup}
+  <h2 class="rpt-sec">${t('rpt_details', 'Detailed comparison')}</h2>
+  ${tables}
+  <footer class="rpt-foot">${t('rpt_footer', 'Calculated with ToolMeUp Fitment Calculator. Values are estimates; confirm clearances with a test fit before driving.')}</footer>
+</div>
+${autoPrint}
+</body>
+</html>`;
+  }
+
+  function openReportDialog() {
+    const setups = getSetups().filter(axlesValid);
+    if (!baseline?.tireGeom || !setups.length) { alert('Apply a valid baseline and add at least one setup first.'); return; }
+    const shop = readReportShop();
+    let logo = shop.logo || '';
+
+    let overlay = document.getElementById('reportModal');
+    if (overlay) overlay.remove();
+    overlay = document.createElement('div');
+    overlay.id = 'reportModal';
+    overlay.className = 'modal-overlay is-open';
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-label="Customer report">
+        <div class="modal__head">
+          <h3 class="modal__title">Customer Report</h3>
+          <button class="modal__close" type="button" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal__body">
+          <div class="hint"${rtlAttr()}>${t('hint_report', 'A printable report of the comparison for your customer. Print it or save it as PDF from the print dialog. The shop details are remembered in this browser.')}</div>
+          <div class="grid two">
+            <div>
+              <div class="field field--wide"><label>Shop name<input id="rpt_shop_name" type="text"></label></div>
+              <div class="field field--wide"><label>Address / phone<textarea id="rpt_shop_contact" rows="2"></textarea></label></div>
+              <div class="field field--wide"><label>Logo<input id="rpt_logo_file" type="file" accept="image/*"></label></div>
+              <div class="report-logo">
+                <img class="report-logo__img" alt="Shop logo" hidden>
+                <button class="report-logo__clear" type="button" hidden>Remove logo</button>
+              </div>
+            </div>
+            <div>
+              <div class="field field--wide"><label>Customer / vehicle<textarea id="rpt_note" rows="3" placeholder="Name, vehicle, plate…"></textarea></label></div>
+              <div class="report-setups"><div class="small">Setups to include</div></div>
+            </div>
+          </div>
+        </div>
+        <div class="modal__foot">
+          <button class="report-download" type="button">Download HTML</button>
+          <button class="report-print primary" type="button">Print / Save PDF</button>
+        </div>
+      </div>`;
+
+    const nameInput = overlay.querySelector('#rpt_shop_name');
+    const contactInput = overlay.querySelector('#rpt_shop_contact');
+    nameInput.value = shop.name || '';
+    contactInput.value = shop.contact || '';
+    const list = overlay.querySelector('.report-setups');
+    setups.forEach((s, i) => {
+      const row = document.createElement('label');
+      row.className = 'toggle';
+      row.innerHTML = `<input type="checkbox" value="${i}" checked> <span></span>`;
+      row.querySelector('span').textContent = `Setup ${i + 1} · ${setupLabel(s)}`;
+      list.appendChild(row);
+    });
+
+    const logoImg = overlay.querySelector('.report-logo__img');
+    const logoClear = overlay.querySelector('.report-logo__clear');
+    const showLogo = () => {
+      logoImg.hidden = logoClear.hidden = !logo;
+      if (logo) logoImg.src = logo;
+      else logoImg.removeAttribute('src');
+    };
+    showLogo();
+    overlay.querySelector('#rpt_logo_file').addEventListener('change', e => {
+      const file = e.target.files?.[0];
+      if (!file) return;
+      readLogoFile(file).then(url => { logo = url; showLogo(); })
+        .catch(() => alert('That file could not be read as an image.'));
+    });
+    logoClear.addEventListener('click', () => {
+      logo = '';
+      overlay.querySelector('#rpt_logo_file').value = '';
+      showLogo();
+    });
+
+    const close = () => overlay.remove();
+    overlay.querySelector('.modal__close').addEventListener('click', close);
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+
+    // Report options from the form; remembers the shop details
+    const collect = () => {
+      const chosen = $$('.report-setups input:checked', overlay).map(box => setups[+box.value]);
+      if (!chosen.length) { alert('Pick at least one setup for the report.'); return null; }
+      const next = { name: nameInput.value.trim(), contact: contactInput.value.trim(), logo };
+      writeReportShop(next);
+      return { shop: next, note: overlay.querySelector('#rpt_note').value.trim(), setups: chosen };
+    };
+    overlay.querySelector('.report-print').addEventListener('click', () => {
+      const opts = collect();
+      if (!opts) return;
+      // Open the window inside the click so pop-up blockers allow it
+      const win = window.open('', '_blank');
+      if (!win) { alert('The report window was blocked. Allow pop-ups for this site, or use Download HTML and print the file.'); return; }
+      win.document.open();
+      win.document.write(buildReportHtml({ ...opts, autoPrint: true }));
+      win.document.close();
+      close();
+    });
+    overlay.querySelector('.report-download').addEventListener('click', () => {
+      const opts = collect();
+      if (!opts) return;
+      downloadFile(`fitment-report-${new Date().toISOString().slice(0, 10)}.html`, buildReportHtml(opts), 'text/html');
+    });
+    document.body.appendChild(overlay);
+  }
+
+  // Comparison table export (CSV / XLSX) for a quote log: one row per setup
+  // and axle, the baseline first. Lengths follow the unit mode the way the
+  // report shows them (displayLengthSmart) or are raw millimetres; values
+  // are plain numbers with the unit in the column header.
+  const TABLE_EXPORT_KEY = 'tmu_table_export';
+  function exportLengthUnit(unitMode, preferUnit, raw) {
+    if (raw || unitMode === 'metric') return 'mm';
+    if (unitMode === 'imperial') return 'in';
+    return preferUnit === 'in' ? 'in' : 'mm';
+  }
+  // Section width as mounted (with the sidewall bulge)
+  const exportWidthMm = set => set.tireGeom.sectionWidthMm * (1 + (set.bulgePct || 0) / 100);
+  // cols: [header, preferUnit ('mm' | 'in') or a fixed unit label, (c) => number | null]
+  // Changes are setup minus baseline, like the report (positive = bigger)
+  const TABLE_EXPORT_COLS = [
+    ['Overall Diameter', 'mm', c => c.s.tireGeom.overallDiaMm],
+    ['Sidewall Height', 'mm', c => c.s.tireGeom.sidewallMm],
+    ['Section Width', 'mm', c => exportWidthMm(c.s)],
+    ['Circumference', 'mm', c => c.s.tireGeom.circumferenceMm],
+    ['Backspacing', 'mm', c => c.s.wheelGeom.backspacingMm],
+    ['Frontspacing (Poke)', 'mm', c => c.s.wheelGeom.frontspacingMm],
+    ['Overall Diameter Change', '%', c => (c.s.tireGeom.overallDiaMm / c.base.tireGeom.overallDiaMm - 1) * 100],
+    ['Overall Diameter Change', 'mm', c => c.s.tireGeom.overallDiaMm - c.base.tireGeom.overallDiaMm],
+    ['Section Width Change', 'mm', c => exportWidthMm(c.s) - exportWidthMm(c.base)],
+    ['Ride Height Change', 'mm', c => c.cmp.rideHeightDeltaMm],
+    ['Inner Clearance Change', 'mm', c => (c.cmp.innerMoveMm == null ? null : -c.cmp.innerMoveMm)],
+    ['Outer Clearance Change', 'mm', c => (c.cmp.outerMoveMm == null ? null : -c.cmp.outerMoveMm)],
+    ['Track Width Change', 'mm', c => steeringCheck(c.base, c.s, c.axle)?.trackDeltaMm ?? null],
+    ['Final Wheel Arch Clearance', 'mm', c => archClearance(c.base, c.s)?.value ?? null],
+    ['Final Inner Clearance', 'mm', c => c.checks.inner?.value ?? null],
+    ['Final Outer Clearance', 'mm', c => c.checks.outer?.value ?? null],
+    ['Speedometer Error Change', '%', c => -c.cmp.speedoErrPct],
+    ['Final Speedometer Error', '%', c => -c.cmp.speedoErrPct + (c.base.baseSpeedoError || 0)]
+  ];
+
+  // Header + rows of the export for the baseline and the valid setups
+  function comparisonRows(base, setups, unitMode, raw) {
+    const allSets = [base, ...setups];
+    const axles = allSets.some(hasRearAxle) ? ['front', 'rear'] : ['front'];
+    const units = TABLE_EXPORT_COLS.map(([, u]) => (u === '%' ? u : exportLengthUnit(unitMode, u, raw)));
+    const header = ['Date', 'Session', 'Setup', 'Axle', 'Tire', 'Wheel',
+      ...TABLE_EXPORT_COLS.map(([label], i) => `${label} (${units[i]})`)];
+    const date = new Date().toISOString().slice(0, 10);
+    const rows = [];
+    allSets.forEach((set, i) => axles.forEach(axle => {
+      const b = axleOf(base, axle), s = axleOf(set, axle);
+      const c = { axle, s, base: b, cmp: compareSetups(b, s), checks: clearanceChecks(b, s, { inner: 3, outer: 3 }) };
+      rows.push([date, loadedSession?.name || '', i === 0 ? 'Baseline' : `Setup ${i}`, axle === 'rear' ? 'Rear' : 'Front',
+        tireLabel(s), wheelSpec(s),
+        ...TABLE_EXPORT_COLS.map(([, , fn], k) => {
+          const v = fn(c);
+          if (v == null || isNaN(v)) return null;
+          if (units[k] === 'in') return +mmToIn(v).toFixed(2);
+          return +v.toFixed(units[k] === '%' ? 2 : 1);
+        })]);
+    }));
+    return [header, ...rows];
+  }
+
+  function openTableExport() {
+    const setups = getSetups().filter(axlesValid);
+    if (!baseline?.tireGeom || !setups.length) { alert('Apply a valid baseline and add at least one setup first.'); return; }
+    const unitMode = $('#unitToggle').value;
+    let prefs = {};
+    try { prefs = JSON.parse(localStorage.getItem(TABLE_EXPORT_KEY) || '{}') || {}; } catch (_) { /* defaults */ }
+    const modeName = $('#unitToggle').selectedOptions?.[0]?.textContent || unitMode;
+
+    let overlay = document.getElementById('tableExportModal');
+    if (overlay) overlay.remove();
+    overlay = document.createElement('div');
+    overlay.id = 'tableExportModal';
+    overlay.className = 'modal-overlay is-open';
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-label="Export comparison table">
+        <div class="modal__head">
+          <h3 class="modal__title">Export Comparison Table</h3>
+          <button class="modal__close" type="button" aria-label="Close">&times;</button>
+        </div>
+        <div class="modal__body">
+          <div class="hint"${rtlAttr()}>${t('hint_table_export', 'One row per setup and axle, with the baseline first, ready to paste into a quote spreadsheet.')}</div>
+          <div class="table-export">
+            <div class="small">Format</div>
+            <label class="toggle"><input type="radio" name="tableFormat" value="xlsx"> <span>Excel workbook (.xlsx)</span></label>
+            <label class="toggle"><input type="radio" name="tableFormat" value="csv"> <span>CSV (.csv)</span></label>
+            <div class="small">Lengths</div>
+            <label class="toggle"><input type="radio" name="tableUnits" value="mode"> <span class="table-export__mode"></span></label>
+            <label class="toggle"><input type="radio" name="tableUnits" value="raw"> <span>Raw millimetres</span></label>
+          </div>
+        </div>
+        <div class="modal__foot">
+          <button class="table-export-cancel" type="button">Cancel</button>
+          <button class="table-export-go primary" type="button">Download</button>
+        </div>
+      </div>`;
+    overlay.querySelector('.table-export__mode').textContent = `Current unit mode (${modeName})`;
+    overlay.querySelector(`input[name="tableFormat"][value="${prefs.format === 'csv' ? 'csv' : 'xlsx'}"]`).checked = true;
+    overlay.querySelector(`input[name="tableUnits"][value="${prefs.raw ? 'raw' : 'mode'}"]`).checked = true;
+
+    const close = () => overlay.remove();
+    overlay.querySelector('.modal__close').addEventListener('click', close);
+    overlay.querySelector('.table-export-cancel').addEventListener('click', close);
+    overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+    overlay.querySelector('.table-export-go').addEventListener('click', () => {
+      const format = overlay.querySelector('input[name="tableFormat"]:checked').value;
+      const raw = overlay.querySelector('input[name="tableUnits"]:checked').value === 'raw';
+      try { localStorage.setItem(TABLE_EXPORT_KEY, JSON.stringify({ format, raw })); } catch (_) { /* ignore */ }
+      const rows = comparisonRows(baseline, setups, unitMode, raw);
+      const file = `fitment-comparison-${new Date().toISOString().slice(0, 10)}`;
+      if (format === 'csv') {
+        // BOM so Excel reads the × and non-Latin session names as UTF-8
+        downloadFile(`${file}.csv`, '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\n'), 'text/csv');
+      } else {
+        downloadFile(`${file}.xlsx`, xlsxWorkbook(rows, 'Comparison'),
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      }
+      close();
+    });
+    document.body.appendChild(overlay);
   }
 
   // Reset all fields: clear text boxes, restore HTML defaults, remove setups
@@ -1955,6 +4720,19 @@
     // Speedometer error intentionally has no default value
     const spd = document.getElementById('base_speedo_error');
     if (spd) spd.value = '';
+    const stag = document.getElementById('base_staggered');
+    if (stag) stag.checked = false;
+    ['base_rim_adjust', 'base_sweep'].forEach(id => {
+      const box = document.getElementById(id);
+      if (box) box.checked = false;
+    });
+    $$('#base select').forEach(sel => { sel.selectedIndex = 0; });
+    syncPressureUnit();
+    $$('#gearing input, #calibration input, #solver input').forEach(inp => { inp.value = inp.defaultValue; });
+    const gearSel = document.getElementById('gearPreset');
+    if (gearSel) gearSel.value = '';
+    syncStaggered('base');
+    selectedAxle = 'front';
     const preset = document.getElementById('presetSelect');
     if (preset) preset.selectedIndex = 0;
     // Clear computed state and autosave
@@ -1971,10 +4749,14 @@
     const overwriteBtn = document.getElementById('overwriteSessionBtn');
     const loadBtn = document.getElementById('loadSessionBtn');
     const resetBtn = document.getElementById('resetFieldsBtn');
-    if (saveBtn) saveBtn.addEventListener('click', saveSession);
+    if (saveBtn) saveBtn.addEventListener('click', () => saveSession());
     if (overwriteBtn) overwriteBtn.addEventListener('click', overwriteSession);
     if (loadBtn) loadBtn.addEventListener('click', loadSession);
     if (resetBtn) resetBtn.addEventListener('click', resetAllFields);
+    document.getElementById('shareLinkBtn')?.addEventListener('click', copyShareLink);
+    document.getElementById('reportBtn')?.addEventListener('click', openReportDialog);
+    document.getElementById('exportTableBtn')?.addEventListener('click', openTableExport);
+    document.getElementById('importSessionsBtn')?.addEventListener('click', pickSessionFile);
     updateSessionUI();
   }
 
@@ -1993,6 +4775,7 @@
       initPresets();
       initBaseline();
       initSetups();
+      initGearing();
       initSessionIO();
     } else {
       // Minimal wiring for pages without the fitment UI
@@ -2000,6 +4783,8 @@
     }
     // Try to auto-load last working state only on the fitment page
     if (hasFitment) tryAutoLoad();
+    // A share link pasted into an open tab only changes the fragment
+    if (hasFitment) window.addEventListener('hashchange', () => loadSharedSession(serializeSession(), null));
     // Re-render on resize/zoom so canvases match the new on-screen
     // resolution (browser zoom changes devicePixelRatio and fires resize)
     if (hasFitment) window.addEventListener('resize', debounce(renderAll, 100));
@@ -10,8 +10,33 @@
            -> /api/wheel-size/years/
            -> /api/wheel-size/search/by_model/   (trims + OE fitments)
 
-  Applies the factory wheel (rim diameter/width/offset) and tire size to
-  the baseline setup.
+  The search box jumps the cascade: free text such as "golf 7 2017 gti"
+  is fuzzy-matched against the makes and models already cached, the
+  year token picks the year and what's left narrows the trim. Recently
+  used vehicles are kept as chips (localStorage).
+
+  Reverse mode answers "what cars use this size?" for a make:
+    Region + Make -> /api/wheel-size/search/by_tire/  (tire size)
+                  -> /api/wheel-size/search/by_rim/   (PCD, diameter, width, offset)
+  Hits are narrowed client-side on bolt pattern, center bore and offset
+  where the records carry them; loading a hit's factory setup goes
+  through search/by_model/ for one of its years.
+
+  Applies the factory wheel (rim diameter/width/offset), tire size and the
+  trim's hub specs (bolt pattern, center bore, lug thread and hardware) to
+  the baseline setup, or adds fitments as comparison setups (one at a
+  time or every OE option at once). Staggered fitments carry their rear
+  axle along.
+
+  Data comes from a source: the live API proxy above, or the static
+  "Local catalog" under static/fitments/ built by
+  scripts/import-fitments.js (offered when its catalog.json is deployed).
+  Both answer the same makes/models/years/trims/search questions.
+
+  API responses are kept in IndexedDB (keyed by endpoint + sorted query) so
+  repeat visits don't spend API quota: fresh entries are served as-is,
+  stale ones are served while a background request refreshes them, and
+  anything cached is used when the API is rate-limited or unreachable.
 */
 (function () {
   "use strict";
@@ -48,20 +73,263 @@
       return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c];
     });
   }
-  // Cache responses within a session to conserve API quota.
-  var cache = {};
+  // ---- persistent response cache ---------------------------------------
+  var CACHE_DB = "toolmeup-oem";
+  var CACHE_STORE = "responses";
+  var CACHE_PREFS_KEY = "tmu_oem_cache_prefs";
+  var DAY_MS = 24 * 60 * 60 * 1000;
+  // ttlDays: served without asking the API; swrDays: after that, served
+  // while a background request refreshes the entry
+  var CACHE_DEFAULTS = { ttlDays: 7, swrDays: 30 };
+  var ENDPOINT_LABELS = { "makes/": "makes", "models/": "models", "years/": "years", "search/by_model/": "trims" };
+
+  function loadCachePrefs() {
+    var p = {};
+    try { p = JSON.parse(localStorage.getItem(CACHE_PREFS_KEY) || "{}") || {}; } catch (_) { /* ignore */ }
+    return {
+      ttlDays: isFinite(p.ttlDays) && p.ttlDays >= 0 ? +p.ttlDays : CACHE_DEFAULTS.ttlDays,
+      swrDays: isFinite(p.swrDays) && p.swrDays >= 0 ? +p.swrDays : CACHE_DEFAULTS.swrDays
+    };
+  }
+  function saveCachePrefs() {
+    try { localStorage.setItem(CACHE_PREFS_KEY, JSON.stringify(cachePrefs)); } catch (_) { /* ignore */ }
+  }
+  var cachePrefs = loadCachePrefs();
+
+  // Resolves to null when IndexedDB is unavailable (private mode, old
+  // browsers); the cache then only lives for this visit.
+  var dbPromise = null;
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(function (resolve) {
+      if (!window.indexedDB) { resolve(null); return; }
+      try {
+        var req = window.indexedDB.open(CACHE_DB, 1);
+        req.onupgradeneeded = function () { req.result.createObjectStore(CACHE_STORE, { keyPath: "key" }); };
+        req.onsuccess = function () { resolve(req.result); };
+        req.onerror = req.onblocked = function () { resolve(null); };
+      } catch (_) { resolve(null); }
+    });
+    return dbPromise;
+  }
+  // Runs one request against the store; never rejects (null on failure)
+  function withStore(mode, fn) {
+    return openDb().then(function (db) {
+      if (!db) return null;
+      return new Promise(function (resolve) {
+        try {
+          var tx = db.transaction(CACHE_STORE, mode);
+          var req = fn(tx.objectStore(CACHE_STORE));
+          tx.oncomplete = function () { resolve(req ? req.result : null); };
+          tx.onerror = tx.onabort = function () { resolve(null); };
+        } catch (_) { resolve(null); }
+      });
+    });
+  }
+  function cacheGet(key) { return withStore("readonly", function (st) { return st.get(key); }); }
+  function cachePut(entry) { return withStore("readwrite", function (st) { return st.put(entry); }); }
+  function cacheAll() { return withStore("readonly", function (st) { return st.getAll(); }); }
+  function cacheClear() { return withStore("readwrite", function (st) { return st.clear(); }); }
+
+  // "makes/?region=usdm" style key with the query sorted, so parameter
+  // order doesn't split entries
+  function cacheKey(url) {
+    var path = url.indexOf(API) === 0 ? url.slice(API.length) : url;
+    var q = path.split("?");
+    return { key: q[0] + "?" + (q[1] || "").split("&").sort().join("&"), endpoint: q[0], query: q[1] || "" };
+  }
+
+  // Responses already handed out this visit: {json, source, savedAt}
+  // where source is "network", "cache", "stale" or "offline"
+  var mem = {};
   function fetchJSON(url) {
-    if (cache[url]) return Promise.resolve(cache[url]);
+    var k = cacheKey(url);
+    if (mem[k.key]) return Promise.resolve(mem[k.key]);
+    return cacheGet(k.key).then(function (hit) {
+      var age = hit ? Date.now() - hit.savedAt : Infinity;
+      var ttl = cachePrefs.ttlDays * DAY_MS;
+      if (age < ttl) return remember(k, hit, "cache");
+      if (age < ttl + cachePrefs.swrDays * DAY_MS) {
+        fetchNetwork(url, k).then(function (res) { mem[k.key] = res; }, function () { /* keep the stale copy */ });
+        return remember(k, hit, "stale");
+      }
+      return fetchNetwork(url, k).catch(function (e) {
+        if (hit && e.offline) return remember(k, hit, "offline");
+        throw e;
+      });
+    });
+  }
+  function remember(k, hit, source) {
+    mem[k.key] = { json: hit.json, source: source, savedAt: hit.savedAt };
+    return mem[k.key];
+  }
+  function fetchNetwork(url, k) {
     return fetch(url, { headers: { Accept: "application/json" } }).then(function (r) {
       if (!r.ok) {
         var msg = r.status === 403 ? "API key missing or invalid (403)."
           : r.status === 404 ? "No data found (404)."
           : r.status === 429 ? "API request limit reached (429). Try later."
           : "Request failed (" + r.status + ").";
-        return r.text().then(function () { throw new Error(msg); });
+        return r.text().then(function () {
+          var e = new Error(msg);
+          // Rate limits and server errors are passing: serve the cached copy if any
+          e.offline = r.status === 429 || r.status >= 500;
+          throw e;
+        });
       }
       return r.json();
-    }).then(function (j) { cache[url] = j; return j; });
+    }, function () {
+      var e = new Error("Network error. Check your connection and try again.");
+      e.offline = true;
+      throw e;
+    }).then(function (j) {
+      var savedAt = Date.now();
+      cachePut({ key: k.key, endpoint: k.endpoint, query: k.query, json: j, savedAt: savedAt });
+      mem[k.key] = { json: j, source: "network", savedAt: savedAt };
+      return mem[k.key];
+    });
+  }
+  function ago(ts) {
+    var min = Math.round((Date.now() - ts) / 60000);
+    if (min < 1) return "just now";
+    if (min < 60) return min + " min ago";
+    if (min < 48 * 60) return Math.round(min / 60) + " h ago";
+    return Math.round(min / (24 * 60)) + " days ago";
+  }
+
+  // ---- data sources ----------------------------------------------------
+  // Each source answers with {json, source, savedAt} results in the API's
+  // {data: [...]} shape, so the cascade, quick search and reverse lookup
+  // don't care where the data lives.
+  var CATALOG = "static/fitments/";
+  var SOURCE_KEY = "tmu_oem_source";
+
+  function queryString(params) {
+    return Object.keys(params).filter(function (k) { return params[k] != null; })
+      .map(function (k) { return k + "=" + enc(params[k]); }).join("&");
+  }
+  function parseQueryString(q) {
+    var out = {};
+    String(q || "").split("&").forEach(function (kv) { var p = kv.split("="); if (p[0]) out[p[0]] = decodeURIComponent(p[1] || ""); });
+    return out;
+  }
+
+  var apiSource = {
+    id: "api",
+    makes: function (region) { return fetchJSON(API + "makes/?" + queryString({ region: region })); },
+    models: function (region, make) { return fetchJSON(API + "models/?" + queryString({ make: make, region: region })); },
+    years: function (region, make, model) {
+      return fetchJSON(API + "years/?" + queryString({ make: make, model: model, region: region }));
+    },
+    trims: function (region, make, model, year) {
+      return fetchJSON(API + "search/by_model/?" + queryString({ make: make, model: model, year: year, region: region }));
+    },
+    // kind: "tire" or "rim"; params: the search endpoint's query
+    search: function (kind, params) { return fetchJSON(API + "search/by_" + kind + "/?" + queryString(params)); },
+    // Model lists of the region fetched before (this visit or IndexedDB)
+    cachedModels: function (region) {
+      return cacheAll().then(function (entries) {
+        var seen = {};
+        (entries || []).concat(Object.keys(mem).map(function (k) {
+          return { key: k, endpoint: k.split("?")[0], query: k.split("?")[1], json: mem[k].json };
+        })).forEach(function (e) {
+          var q = parseQueryString(e.query);
+          if (e.endpoint !== "models/" || q.region !== region || seen[e.key]) return;
+          seen[e.key] = modelList(q.make, e.json);
+        });
+        return flatten(seen);
+      });
+    }
+  };
+
+  // Static files written by scripts/import-fitments.js
+  var catalog = null; // its catalog.json, once probed
+  function fetchLocal(path) {
+    var key = "local:" + path;
+    if (mem[key]) return Promise.resolve(mem[key]);
+    return fetch(CATALOG + path, { headers: { Accept: "application/json" } }).then(function (r) {
+      if (!r.ok) throw new Error(r.status === 404 ? "Not in the local catalog." : "Local catalog request failed (" + r.status + ").");
+      return r.json();
+    }, function () {
+      throw new Error("Local catalog unavailable.");
+    }).then(function (j) {
+      mem[key] = { json: j, source: "local", savedAt: catalog ? Date.parse(catalog.generated) : null };
+      return mem[key];
+    });
+  }
+  function modelPath(region, make, model) { return enc(region) + "/" + enc(make) + "/" + enc(model) + ".json"; }
+  function withData(res, data) { return { json: { data: data }, source: res.source, savedAt: res.savedAt }; }
+  function localMatch(kind, p, w) {
+    return [w.front, w.rear].some(function (c) {
+      if (!c) return false;
+      if (kind === "tire") return tireKey(c.tire) === p.section_width + "/" + p.aspect_ratio + "R" + p.rim_diameter;
+      return (p.rim_diameter == null || c.rim_diameter === Number(p.rim_diameter)) &&
+        (p.rim_width == null || c.rim_width === Number(p.rim_width)) &&
+        (p.offset_min == null || (c.rim_offset != null && c.rim_offset >= Number(p.offset_min) && c.rim_offset <= Number(p.offset_max)));
+    });
+  }
+  var localSource = {
+    id: "local",
+    makes: function (region) { return fetchLocal(enc(region) + "/makes.json"); },
+    models: function (region, make) { return fetchLocal(enc(region) + "/" + enc(make) + "/models.json"); },
+    years: function (region, make, model) {
+      return fetchLocal(modelPath(region, make, model)).then(function (res) { return withData(res, res.json.years || []); });
+    },
+    trims: function (region, make, model, year) {
+      var y = parseInt(year, 10);
+      return fetchLocal(modelPath(region, make, model)).then(function (res) {
+        return withData(res, rows(res.json).filter(function (t) {
+          return t.start_year <= y && (t.end_year != null ? t.end_year : t.start_year) >= y;
+        }));
+      });
+    },
+    // No search index: scans the model files of the make
+    search: function (kind, params) {
+      return localSource.models(params.region, params.make).then(function (res) {
+        return Promise.all(rows(res.json).map(function (m) {
+          return fetchLocal(modelPath(params.region, params.make, m.slug)).catch(function () { return null; });
+        })).then(function (files) {
+          var hits = [];
+          files.forEach(function (f) {
+            if (!f) return;
+            rows(f.json).forEach(function (t) {
+              if (!(t.wheels || []).some(function (w) { return localMatch(kind, params, w); })) return;
+              var hit = { make: f.json.make, model: f.json.model };
+              Object.keys(t).forEach(function (k) { hit[k] = t[k]; });
+              hits.push(hit);
+            });
+          });
+          return withData(res, hits);
+        });
+      });
+    },
+    cachedModels: function (region) {
+      var seen = {};
+      Object.keys(mem).forEach(function (k) {
+        var m = k.match(/^local:([^/]+)\/([^/]+)\/models\.json$/);
+        if (m && decodeURIComponent(m[1]) === region) seen[k] = modelList(decodeURIComponent(m[2]), mem[k].json);
+      });
+      return Promise.resolve(flatten(seen));
+    }
+  };
+  function modelList(make, json) {
+    return rows(json).map(function (m) { return { make: make, slug: m.slug, name: m.name || m.name_en || m.slug }; });
+  }
+  function flatten(groups) {
+    var out = [];
+    Object.keys(groups).forEach(function (k) { out = out.concat(groups[k]); });
+    return out;
+  }
+
+  var source = apiSource;
+  // Looks for a deployed local catalog once; resolves to its manifest or null
+  function probeCatalog() {
+    return fetch(CATALOG + "catalog.json", { headers: { Accept: "application/json" } }).then(function (r) {
+      return r.ok ? r.json() : null;
+    }).catch(function () { return null; }).then(function (m) {
+      catalog = m && Array.isArray(m.regions) && m.regions.length ? m : null;
+      return catalog;
+    });
   }
   function rows(j) { return (j && j.data) ? j.data : (Array.isArray(j) ? j : []); }
 
@@ -78,26 +346,71 @@
 
     var body = el("div", { class: "modal__body" });
     body.innerHTML =
-      '<p class="hint">Pick a vehicle to load its factory (OE) wheel &amp; tire spec. Data: Wheel-Size Fitment API.</p>' +
+      '<p class="hint">Pick a vehicle to load its factory (OE) wheel &amp; tire spec, or search in reverse for the vehicles that use a tire or wheel size. Data: Wheel-Size Fitment API.</p>' +
+      '<div id="oemQuick" class="oem-quick">' +
+        '<input type="search" id="oemQuery" placeholder="Search a vehicle, e.g. golf 7 2017 gti" autocomplete="off" aria-label="Search a vehicle">' +
+        '<div id="oemSuggest" class="oem-suggest" role="listbox"></div>' +
+        '<div id="oemRecent" class="oem-recent"></div>' +
+      '</div>' +
       '<div class="oem-grid">' +
+        '<label class="oem-field" hidden>Data source<select id="oemSource">' +
+          '<option value="api">Wheel-Size API (live)</option>' +
+          '<option value="local">Local catalog</option>' +
+        '</select></label>' +
+        '<label class="oem-field">Search<select id="oemMode">' +
+          '<option value="vehicle">By vehicle</option>' +
+          '<option value="reverse">Reverse: which vehicles use a size</option>' +
+        '</select></label>' +
         '<label class="oem-field">Region<select id="oemRegion"></select></label>' +
         '<label class="oem-field">Make<select id="oemMake" disabled></select></label>' +
         '<label class="oem-field">Model<select id="oemModel" disabled></select></label>' +
         '<label class="oem-field">Year<select id="oemYear" disabled></select></label>' +
         '<label class="oem-field">Trim / Engine<select id="oemTrim" disabled></select></label>' +
       '</div>' +
+      '<div id="oemReverse" class="oem-reverse" hidden>' +
+        '<div class="oem-grid">' +
+          '<label class="oem-field">Match on<select id="oemRevBy">' +
+            '<option value="tire">Tire size</option>' +
+            '<option value="rim">Wheel (PCD, center bore, offset)</option>' +
+          '</select></label>' +
+          '<label class="oem-field" data-rev="tire">Tire size<input type="text" id="oemRevTire" placeholder="225/45R17"></label>' +
+          '<label class="oem-field" data-rev="rim">Bolt pattern (PCD)<input type="text" id="oemRevPcd" placeholder="5x112"></label>' +
+          '<label class="oem-field" data-rev="rim">Center bore (mm)<input type="number" id="oemRevBore" step="0.1" min="0"></label>' +
+          '<label class="oem-field" data-rev="rim">Rim diameter (in)<input type="number" id="oemRevDiam" step="1" min="10"></label>' +
+          '<label class="oem-field" data-rev="rim">Rim width (in)<input type="number" id="oemRevWidth" step="0.5" min="3"></label>' +
+          '<label class="oem-field" data-rev="rim">Offset ET (mm)<input type="number" id="oemRevEt" step="1"></label>' +
+          '<label class="oem-field" data-rev="rim">Offset tolerance ± (mm)<input type="number" id="oemRevEtTol" step="1" min="0" value="10"></label>' +
+        '</div>' +
+        '<div class="oem-reverse__actions">' +
+          '<button type="button" id="oemRevBase">Use Baseline</button>' +
+          '<button type="button" class="primary" id="oemRevSearch" disabled>Search</button>' +
+        '</div>' +
+      '</div>' +
       '<div id="oemStatus" class="oem-status" role="status"></div>' +
       '<div id="oemFitments" class="oem-fitments"></div>' +
+      '<div id="oemHits" class="oem-fitments" hidden></div>' +
       '<div class="oem-capture">' +
         '<div class="oem-capture__title">Capture into baseline</div>' +
         '<label class="toggle"><input type="checkbox" id="oemApplyWheel" checked> <span>Wheel (rim diameter, width, offset)</span></label>' +
         '<label class="toggle"><input type="checkbox" id="oemApplyTire" checked> <span>Tire (size)</span></label>' +
-      '</div>';
+        '<label class="toggle"><input type="checkbox" id="oemApplyHub" checked> <span>Hub (bolt pattern, center bore, lug thread, nuts/bolts)</span></label>' +
+      '</div>' +
+      '<details class="oem-cache" id="oemCache">' +
+        '<summary>Offline cache</summary>' +
+        '<div id="oemCacheStats" class="small"></div>' +
+        '<div class="oem-grid">' +
+          '<label class="oem-field">Fresh for (days)<input type="number" id="oemCacheTtl" min="0" step="1"></label>' +
+          '<label class="oem-field">Then serve stale while refreshing (days)<input type="number" id="oemCacheSwr" min="0" step="1"></label>' +
+        '</div>' +
+        '<button type="button" id="oemCacheClear">Clear Cache</button>' +
+      '</details>';
 
     var footer = el("div", { class: "modal__foot" });
     var cancel = el("button", { type: "button", class: "" }, "Cancel");
+    var addAll = el("button", { type: "button", class: "green", id: "oemAddAll", disabled: "disabled" }, "Add All OE Options");
     var apply = el("button", { type: "button", class: "primary", id: "oemApply", disabled: "disabled" }, "Apply to Baseline");
     footer.appendChild(cancel);
+    footer.appendChild(addAll);
     footer.appendChild(apply);
 
     modal.appendChild(header);
@@ -108,6 +421,23 @@
 
     ui = {
       overlay: overlay,
+      source: overlay.querySelector("#oemSource"),
+      mode: overlay.querySelector("#oemMode"),
+      quick: overlay.querySelector("#oemQuick"),
+      query: overlay.querySelector("#oemQuery"),
+      suggest: overlay.querySelector("#oemSuggest"),
+      recent: overlay.querySelector("#oemRecent"),
+      reverse: overlay.querySelector("#oemReverse"),
+      revBy: overlay.querySelector("#oemRevBy"),
+      revTire: overlay.querySelector("#oemRevTire"),
+      revPcd: overlay.querySelector("#oemRevPcd"),
+      revBore: overlay.querySelector("#oemRevBore"),
+      revDiam: overlay.querySelector("#oemRevDiam"),
+      revWidth: overlay.querySelector("#oemRevWidth"),
+      revEt: overlay.querySelector("#oemRevEt"),
+      revEtTol: overlay.querySelector("#oemRevEtTol"),
+      revSearch: overlay.querySelector("#oemRevSearch"),
+      hits: overlay.querySelector("#oemHits"),
       region: overlay.querySelector("#oemRegion"),
       make: overlay.querySelector("#oemMake"),
       model: overlay.querySelector("#oemModel"),
@@ -117,12 +447,17 @@
       fitments: overlay.querySelector("#oemFitments"),
       applyWheel: overlay.querySelector("#oemApplyWheel"),
       applyTire: overlay.querySelector("#oemApplyTire"),
+      applyHub: overlay.querySelector("#oemApplyHub"),
+      cache: overlay.querySelector("#oemCache"),
+      cacheStats: overlay.querySelector("#oemCacheStats"),
+      cacheTtl: overlay.querySelector("#oemCacheTtl"),
+      cacheSwr: overlay.querySelector("#oemCacheSwr"),
+      addAll: addAll,
       apply: apply
     };
 
     // Region options
-    REGIONS.forEach(function (r) { ui.region.appendChild(opt(r[0], r[1])); });
-    ui.region.value = "usdm";
+    fillRegions();
 
     // Events
     closeBtn.addEventListener("click", close);
@@ -130,22 +465,109 @@
     overlay.addEventListener("click", function (e) { if (e.target === overlay) close(); });
     document.addEventListener("keydown", function (e) { if (e.key === "Escape" && isOpen()) close(); });
 
+    ui.source.addEventListener("change", function () {
+      try { localStorage.setItem(SOURCE_KEY, ui.source.value); } catch (_) { /* ignore */ }
+      setSource(ui.source.value);
+      ui.hits.innerHTML = "";
+      onRegion();
+    });
     ui.region.addEventListener("change", onRegion);
     ui.make.addEventListener("change", onMake);
     ui.model.addEventListener("change", onModel);
     ui.year.addEventListener("change", onYear);
     ui.trim.addEventListener("change", onTrim);
     ui.apply.addEventListener("click", applyToBaseline);
+    ui.addAll.addEventListener("click", addAllStock);
+
+    ui.mode.addEventListener("change", syncMode);
+    ui.revBy.addEventListener("change", syncMode);
+    overlay.querySelector("#oemRevBase").addEventListener("click", fillReverseFromBaseline);
+    ui.revSearch.addEventListener("click", reverseSearch);
+    syncMode();
+
+    var suggestTimer = null;
+    ui.query.addEventListener("input", function () {
+      clearTimeout(suggestTimer);
+      suggestTimer = setTimeout(renderSuggestions, 150);
+    });
+    ui.query.addEventListener("keydown", function (e) {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      clearTimeout(suggestTimer);
+      suggestVehicles(ui.query.value).then(function (list) {
+        if (list.length) pickSuggestion(list[0]);
+        else setStatus("No cached make or model matches \"" + ui.query.value.trim() + "\". Pick the make below first.");
+      });
+    });
+    renderRecent();
+
+    ui.cacheTtl.value = cachePrefs.ttlDays;
+    ui.cacheSwr.value = cachePrefs.swrDays;
+    ui.cache.addEventListener("toggle", function () { if (ui.cache.open) renderCacheStats(); });
+    [ui.cacheTtl, ui.cacheSwr].forEach(function (inp) {
+      inp.addEventListener("change", function () {
+        var ttl = parseFloat(ui.cacheTtl.value), swr = parseFloat(ui.cacheSwr.value);
+        cachePrefs.ttlDays = isFinite(ttl) && ttl >= 0 ? ttl : CACHE_DEFAULTS.ttlDays;
+        cachePrefs.swrDays = isFinite(swr) && swr >= 0 ? swr : CACHE_DEFAULTS.swrDays;
+        ui.cacheTtl.value = cachePrefs.ttlDays;
+        ui.cacheSwr.value = cachePrefs.swrDays;
+        saveCachePrefs();
+      });
+    });
+    overlay.querySelector("#oemCacheClear").addEventListener("click", function () {
+      mem = {};
+      cacheClear().then(function () {
+        renderCacheStats();
+        setStatus("Cache cleared.");
+      });
+    });
+  }
+
+  // ---- cache inspector -------------------------------------------------
+  function renderCacheStats() {
+    openDb().then(function (db) {
+      if (!db) {
+        ui.cacheStats.textContent = "Persistent cache is unavailable in this browser; responses are kept for this visit only.";
+        return null;
+      }
+      return cacheAll().then(function (entries) {
+        entries = entries || [];
+        if (!entries.length) { ui.cacheStats.textContent = "The cache is empty."; return; }
+        var counts = {}, bytes = 0, oldest = Infinity;
+        entries.forEach(function (e) {
+          var label = ENDPOINT_LABELS[e.endpoint] || e.endpoint;
+          counts[label] = (counts[label] || 0) + 1;
+          bytes += JSON.stringify(e.json || null).length;
+          oldest = Math.min(oldest, e.savedAt);
+        });
+        ui.cacheStats.textContent = entries.length + " cached responses (" +
+          Object.keys(counts).map(function (k) { return counts[k] + " " + k; }).join(", ") +
+          "), about " + Math.max(1, Math.round(bytes / 1024)) + " KB. Oldest saved " + ago(oldest) + ".";
+      });
+    });
   }
 
   // ---- state -----------------------------------------------------------
   var currentTrims = [];     // by_model data[]
   var selectedFitment = null; // {front, rear, is_stock,...}
+  var selectedTrim = null;    // by_model record (technical: hub specs)
+  var stockFitments = [];     // OE fitments of the selected trim
+  var makesLoading = null;    // pending/last makes request of onRegion
 
   function setStatus(msg, kind) {
     ui.status.textContent = msg || "";
     ui.status.className = "oem-status" + (kind ? " oem-status--" + kind : "");
   }
+  // Status after a load: the empty-result message, or where the data came from
+  function doneStatus(res, emptyMsg, okMsg) {
+    if (emptyMsg) { setStatus(emptyMsg); return; }
+    if (res.source === "network" || res.source === "local") { setStatus(okMsg || ""); return; }
+    if (res.source === "offline") {
+      setStatus("API unavailable. Showing cached data (saved " + ago(res.savedAt) + ").", "offline");
+    } else {
+      setStatus("From cache (saved " + ago(res.savedAt) + ")" + (res.source === "stale" ? ", refreshing in background." : "."), "cache");
+    }
+  }
   function resetSelect(sel, placeholder) {
     sel.innerHTML = "";
     sel.appendChild(opt("", placeholder));
@@ -162,7 +584,37 @@
   function clearFitments() {
     ui.fitments.innerHTML = "";
     selectedFitment = null;
+    selectedTrim = null;
+    stockFitments = [];
     ui.apply.disabled = true;
+    ui.addAll.disabled = true;
+  }
+
+  // ---- source picker ---------------------------------------------------
+  function initSource() {
+    var saved = null;
+    try { saved = localStorage.getItem(SOURCE_KEY); } catch (_) { /* ignore */ }
+    ui.source.parentNode.hidden = !catalog;
+    setSource(catalog && saved === "local" ? "local" : "api");
+  }
+  function setSource(id) {
+    source = id === "local" && catalog ? localSource : apiSource;
+    ui.source.value = source.id;
+    fillRegions();
+  }
+  // All regions for the API; the imported ones for the local catalog
+  function fillRegions() {
+    var keep = ui.region.value || "usdm";
+    var list = source === localSource
+      ? catalog.regions.map(function (slug) {
+          var known = REGIONS.filter(function (r) { return r[0] === slug; })[0];
+          return known || [slug, slug.toUpperCase()];
+        })
+      : REGIONS;
+    ui.region.innerHTML = "";
+    list.forEach(function (r) { ui.region.appendChild(opt(r[0], r[1])); });
+    ui.region.value = keep;
+    if (!ui.region.value && list.length) ui.region.value = list[0][0];
   }
 
   // ---- cascade ---------------------------------------------------------
@@ -172,62 +624,65 @@
     resetSelect(ui.year, "Year");
     resetSelect(ui.trim, "Trim / Engine");
     clearFitments();
-    if (!ui.region.value) return;
+    if (!ui.region.value) return Promise.resolve(false);
     setStatus("Loading makes…", "busy");
-    fetchJSON(API + "makes/?region=" + enc(ui.region.value)).then(function (j) {
-      var items = rows(j);
+    makesLoading = source.makes(ui.region.value).then(function (res) {
+      var items = rows(res.json);
       fillSelect(ui.make, items, "slug", function (m) { return m.name || m.name_en || m.slug; });
-      setStatus(items.length ? "" : "No makes returned for this region.");
+      doneStatus(res, items.length ? "" : "No makes returned for this region.");
+      return items.length > 0;
     }).catch(err);
+    return makesLoading;
   }
   function onMake() {
     resetSelect(ui.model, "Model");
     resetSelect(ui.year, "Year");
     resetSelect(ui.trim, "Trim / Engine");
     clearFitments();
-    if (!ui.make.value) return;
+    ui.revSearch.disabled = !ui.make.value;
+    if (!ui.make.value || isReverse()) return Promise.resolve(false);
     setStatus("Loading models…", "busy");
-    fetchJSON(API + "models/?make=" + enc(ui.make.value) + "&region=" + enc(ui.region.value)).then(function (j) {
-      var items = rows(j);
+    return source.models(ui.region.value, ui.make.value).then(function (res) {
+      var items = rows(res.json);
       fillSelect(ui.model, items, "slug", function (m) { return m.name || m.name_en || m.slug; });
-      setStatus(items.length ? "" : "No models returned.");
+      doneStatus(res, items.length ? "" : "No models returned.");
+      return items.length > 0;
     }).catch(err);
   }
   function onModel() {
     resetSelect(ui.year, "Year");
     resetSelect(ui.trim, "Trim / Engine");
     clearFitments();
-    if (!ui.model.value) return;
+    if (!ui.model.value) return Promise.resolve(false);
     setStatus("Loading years…", "busy");
-    fetchJSON(API + "years/?make=" + enc(ui.make.value) + "&model=" + enc(ui.model.value) + "&region=" + enc(ui.region.value)).then(function (j) {
-      var items = rows(j).map(function (y) {
+    return source.years(ui.region.value, ui.make.value, ui.model.value).then(function (res) {
+      var items = rows(res.json).map(function (y) {
         if (typeof y === "object") return y.slug || y.year || y.name;
         return y;
       });
       fillSelect(ui.year, items, null, function (y) { return String(y); });
-      setStatus(items.length ? "" : "No years returned.");
+      doneStatus(res, items.length ? "" : "No years returned.");
+      return items.length > 0;
     }).catch(err);
   }
   function onYear() {
     resetSelect(ui.trim, "Trim / Engine");
     clearFitments();
-    if (!ui.year.value) return;
+    if (!ui.year.value) return Promise.resolve(false);
     setStatus("Loading fitments…", "busy");
-    var url = API + "search/by_model/?make=" + enc(ui.make.value) +
-      "&model=" + enc(ui.model.value) + "&year=" + enc(ui.year.value) +
-      "&region=" + enc(ui.region.value);
-    fetchJSON(url).then(function (j) {
-      currentTrims = rows(j);
-      if (!currentTrims.length) { setStatus("No fitment records for this vehicle."); return; }
+    return source.trims(ui.region.value, ui.make.value, ui.model.value, ui.year.value).then(function (res) {
+      currentTrims = rows(res.json);
+      if (!currentTrims.length) { setStatus("No fitment records for this vehicle."); return false; }
       ui.trim.innerHTML = "";
       ui.trim.appendChild(opt("", "Select…"));
       currentTrims.forEach(function (t, i) {
         ui.trim.appendChild(opt(String(i), trimLabel(t)));
       });
       ui.trim.disabled = false;
-      setStatus("");
+      doneStatus(res, "");
       // Auto-select if only one trim
       if (currentTrims.length === 1) { ui.trim.value = "0"; onTrim(); }
+      return true;
     }).catch(err);
   }
   function onTrim() {
@@ -235,6 +690,8 @@
     if (ui.trim.value === "") return;
     var t = currentTrims[parseInt(ui.trim.value, 10)];
     if (!t) return;
+    selectedTrim = t;
+    rememberVehicle(t);
     renderFitments(t);
   }
 
@@ -258,66 +715,123 @@
     if (c.rim_offset != null) rimStr += " ET" + c.rim_offset;
     return tire + "  ·  " + (rimStr || "?");
   }
+  function isStaggered(w) {
+    return !!(w.rear && w.front && (w.rear.tire !== w.front.tire ||
+      w.rear.rim_width !== w.front.rim_width || w.rear.rim_offset !== w.front.rim_offset));
+  }
   function renderFitments(t) {
     var wheels = Array.isArray(t.wheels) ? t.wheels : [];
-    var oe = wheels.filter(function (w) { return w.is_stock; });
-    var list = oe.length ? oe : wheels; // fall back to all if none flagged
-    if (!list.length) { setStatus("This trim has no wheel data."); return; }
+    if (!wheels.length) { setStatus("This trim has no wheel data."); return; }
+    stockFitments = wheels.filter(function (w) { return w.is_stock; });
+    var replacements = wheels.filter(function (w) { return !w.is_stock; });
 
     var wrap = el("div", { class: "oem-fit-list" });
-    wrap.appendChild(el("div", { class: "oem-capture__title" }, oe.length ? "Factory (OE) fitments" : "Available fitments"));
-    list.forEach(function (w, i) {
-      var staggered = w.rear && w.front && (w.rear.tire !== w.front.tire || w.rear.rim_width !== w.front.rim_width);
-      var id = "oemFit" + i;
-      var row = el("label", { class: "oem-fit" });
-      row.innerHTML =
-        '<input type="radio" name="oemFit" value="' + i + '" id="' + id + '">' +
-        '<span class="oem-fit__body">' +
-          '<span class="oem-fit__main">' + esc(fmtCorner(w.front)) + '</span>' +
-          (staggered ? '<span class="oem-fit__rear">Rear: ' + esc(fmtCorner(w.rear)) + '</span>' : '') +
-          (w.is_stock ? '<span class="badge good">OE</span>' : '') +
-        '</span>';
-      row.querySelector("input").addEventListener("change", function () {
-        selectedFitment = w;
-        ui.apply.disabled = false;
-        wrap.querySelectorAll(".oem-fit").forEach(function (r) { r.classList.remove("is-sel"); });
-        row.classList.add("is-sel");
-      });
-      wrap.appendChild(row);
-    });
+    var group = function (title, list) {
+      if (!list.length) return;
+      wrap.appendChild(el("div", { class: "oem-capture__title" }, title));
+      list.forEach(function (w) { wrap.appendChild(fitmentRow(w, wheels.indexOf(w), wrap)); });
+    };
+    // Records without any OE flag are listed as plain options
+    if (stockFitments.length) {
+      group("Factory (OE) fitments", stockFitments);
+      group("Replacement fitments (non-stock)", replacements);
+    } else {
+      group("Available fitments", wheels);
+    }
     ui.fitments.innerHTML = "";
     ui.fitments.appendChild(wrap);
+    ui.addAll.disabled = !stockFitments.length;
 
     // Auto-select first
     var first = wrap.querySelector('input[type="radio"]');
     if (first) { first.checked = true; first.dispatchEvent(new Event("change")); }
   }
+  function fitmentRow(w, i, wrap) {
+    var id = "oemFit" + i;
+    var row = el("label", { class: "oem-fit" });
+    row.innerHTML =
+      '<input type="radio" name="oemFit" value="' + i + '" id="' + id + '">' +
+      '<span class="oem-fit__body">' +
+        '<span class="oem-fit__main">' + esc(fmtCorner(w.front)) + '</span>' +
+        (isStaggered(w) ? '<span class="oem-fit__rear">Rear: ' + esc(fmtCorner(w.rear)) + '</span>' : '') +
+        (w.is_stock ? '<span class="badge good">OE</span>' : '') +
+      '</span>' +
+      '<button type="button" class="oem-fit__add">Add as Setup</button>';
+    row.querySelector("input").addEventListener("change", function () {
+      selectedFitment = w;
+      ui.apply.disabled = false;
+      wrap.querySelectorAll(".oem-fit").forEach(function (r) { r.classList.remove("is-sel"); });
+      row.classList.add("is-sel");
+    });
+    row.querySelector(".oem-fit__add").addEventListener("click", function (e) {
+      e.preventDefault(); // don't let the label pick the radio
+      if (addAsSetup(w)) setStatus("Added " + fmtCorner(w.front) + " to Compare Setups.");
+    });
+    return row;
+  }
 
   // ---- apply -----------------------------------------------------------
+  // Tire size in the partial tire-field format (no rim suffix); the rim
+  // diameter goes into the wheel field instead.
+  function normTire(tire) {
+    return (window.TMU && window.TMU.stripRimFromTireSize)
+      ? window.TMU.stripRimFromTireSize(tire)
+      : { size: String(tire).replace(/\s+/g, ""), rimIn: null };
+  }
+  // Field values (suffix -> value) of one corner, limited to the parts
+  // ticked under "Capture"
+  function cornerFields(c) {
+    var out = {};
+    if (!c) return out;
+    if (ui.applyTire.checked && c.tire) {
+      var norm = normTire(c.tire);
+      out.tire = norm.size;
+      // Keep the R-suffix right even when the wheel isn't captured
+      if (norm.rimIn != null) out.rim_diam = norm.rimIn;
+    }
+    if (ui.applyWheel.checked) {
+      if (c.rim_diameter != null) out.rim_diam = c.rim_diameter;
+      if (c.rim_width != null) out.rim_width = c.rim_width;
+      if (c.rim_offset != null) out.offset = c.rim_offset;
+    }
+    return out;
+  }
+  // Hub specs live on the trim, not on the wheel
+  function hubFields(trim) {
+    var out = {};
+    var tech = (trim && trim.technical) || {};
+    if (!ui.applyHub.checked) return out;
+    var pcd = tech.bolt_pattern || (tech.stud_holes && tech.pcd ? tech.stud_holes + "x" + tech.pcd : null);
+    var thread = tech.wheel_fasteners && tech.wheel_fasteners.thread_size;
+    if (pcd) out.pcd = pcd;
+    if (tech.centre_bore != null) out.bore = parseFloat(tech.centre_bore);
+    if (thread) out.thread = String(thread).replace(/\s+/g, "");
+    return out;
+  }
+
   function applyToBaseline() {
     if (!selectedFitment) return;
-    var f = selectedFitment.front || {};
     var changed = [];
-
-    if (ui.applyTire.checked && f.tire) {
-      // Normalize to the partial tire-field format (no rim suffix);
-      // the rim diameter goes into the wheel field instead.
-      var norm = (window.TMU && window.TMU.stripRimFromTireSize)
-        ? window.TMU.stripRimFromTireSize(f.tire)
-        : { size: String(f.tire).replace(/\s+/g, ""), rimIn: null };
-      setVal("base_tire", norm.size);
-      changed.push("base_tire");
-      // If the wheel isn't being applied (or has no diameter), still set the
-      // rim diameter from the tire size so the R-suffix stays correct.
-      if (norm.rimIn != null && !(ui.applyWheel.checked && f.rim_diameter != null)) {
-        setVal("base_rim_diam", norm.rimIn);
-        changed.push("base_rim_diam");
-      }
+    var put = function (prefix, fields) {
+      Object.keys(fields).forEach(function (k) {
+        setVal(prefix + "_" + k, fields[k]);
+        changed.push(prefix + "_" + k);
+      });
+    };
+    put("base", cornerFields(selectedFitment.front));
+    // Staggered fitments fill the baseline's rear axle; square ones clear it
+    var stag = document.getElementById("base_staggered");
+    if (stag && (ui.applyTire.checked || ui.applyWheel.checked)) {
+      stag.checked = isStaggered(selectedFitment);
+      if (stag.checked) put("base_rear", cornerFields(selectedFitment.rear));
+      changed.push("base_staggered");
     }
-    if (ui.applyWheel.checked) {
-      if (f.rim_diameter != null) { setVal("base_rim_diam", f.rim_diameter); changed.push("base_rim_diam"); }
-      if (f.rim_width != null) { setVal("base_rim_width", f.rim_width); changed.push("base_rim_width"); }
-      if (f.rim_offset != null) { setVal("base_offset", f.rim_offset); changed.push("base_offset"); }
+    put("base", hubFields(selectedTrim));
+    var tech = (selectedTrim && selectedTrim.technical) || {};
+    var fastener = ui.applyHub.checked && tech.wheel_fasteners && String(tech.wheel_fasteners.type || "").toLowerCase();
+    if (fastener) {
+      setVal("base_lug_type", fastener.indexOf("bolt") >= 0 ? "bolts" : "nuts");
+      changed.push("base_lug_type");
     }
 
     // Fire input/change so any listeners react, then click Apply to recompute.
@@ -331,6 +845,397 @@
     close();
   }
 
+  // New comparison setup from a fitment (rear axle too when staggered);
+  // the wheel's hub fields take the trim's hub specs
+  function addAsSetup(w, trim) {
+    if (!window.TMU || !window.TMU.addSetup) { setStatus("Setups are not available on this page.", "bad"); return false; }
+    window.TMU.addSetup(cornerFields(w.front), isStaggered(w) ? cornerFields(w.rear) : null, hubFields(trim || selectedTrim));
+    return true;
+  }
+  function addAllStock() {
+    var added = 0;
+    stockFitments.forEach(function (w) { if (addAsSetup(w)) added++; });
+    if (added) close();
+  }
+
+  // ---- quick search ----------------------------------------------------
+  var RECENT_KEY = "tmu_oem_recent";
+  var RECENT_MAX = 8;
+
+  function words(s) { return String(s || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean); }
+  // At most one edit apart (substitution, insertion, deletion or swap of
+  // neighbours)
+  function nearWord(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    var i = 0, j = 0, edits = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) { i++; j++; continue; }
+      if (++edits > 1) return false;
+      if (a.length > b.length) i++;
+      else if (b.length > a.length) j++;
+      else if (a[i] === b[j + 1] && a[i + 1] === b[j]) { i += 2; j += 2; }
+      else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+  }
+  // How well one query token matches a name: 3 exact word, 2 prefix,
+  // 1 typo (one edit, tokens of 4+ characters), 0 none
+  function tokenScore(tok, name) {
+    var best = 0;
+    words(name).forEach(function (w) {
+      if (w === tok) best = 3;
+      else if (best < 2 && tok.length >= 2 && w.indexOf(tok) === 0) best = 2;
+      else if (best < 1 && tok.length >= 4 && nearWord(tok, w)) best = 1;
+    });
+    return best;
+  }
+  function parseQuery(q) {
+    var out = { year: null, tokens: [] };
+    words(q).forEach(function (t) {
+      if (out.year == null && /^(19|20)\d{2}$/.test(t)) out.year = t;
+      else out.tokens.push(t);
+    });
+    return out;
+  }
+
+  // The one make a query names: its only exact match, else its only
+  // prefix match; null when there is none or it's ambiguous
+  function namedMake(makes, tokens) {
+    var hits = function (min) {
+      return makes.filter(function (m) {
+        return tokens.some(function (t) { return tokenScore(t, m.name) >= min || t === m.slug; });
+      });
+    };
+    var exact = hits(3);
+    if (exact.length) return exact.length === 1 ? exact[0] : null;
+    var prefix = hits(2);
+    return prefix.length === 1 ? prefix[0] : null;
+  }
+  // Makes and models for the current region that are already loaded
+  // (this visit, or IndexedDB for the API). Only the models of the one
+  // make the query names are fetched (once, then cached), so "bmw 330i"
+  // works on a cold cache without a request per keystroke and make
+  function knownVehicles(tokens) {
+    var region = ui.region.value;
+    var makes = Array.prototype.slice.call(ui.make.options).filter(function (o) { return o.value; })
+      .map(function (o) { return { slug: o.value, name: o.textContent }; });
+    var named = namedMake(makes, tokens);
+    return (named ? source.models(region, named.slug).catch(function () { return null; }) : Promise.resolve()).then(function () {
+      return source.cachedModels(region);
+    }).then(function (models) {
+      return { makes: makes, models: models };
+    });
+  }
+  // Ranked {make, model, year, rest} candidates for a query
+  function suggestVehicles(q) {
+    var parsed = parseQuery(q);
+    if (!parsed.tokens.length) return Promise.resolve([]);
+    return knownVehicles(parsed.tokens).then(function (known) {
+      var makeName = {};
+      known.makes.forEach(function (m) { makeName[m.slug] = m.name; });
+      var scored = [];
+      var score = function (make, model) {
+        var total = 0, modelHit = 0, rest = [];
+        parsed.tokens.forEach(function (t) {
+          var sMake = tokenScore(t, make.name) || (t === make.slug ? 3 : 0);
+          var sModel = model ? tokenScore(t, model.name) : 0;
+          if (!sMake && !sModel) { rest.push(t); return; }
+          total += Math.max(sMake, sModel);
+          if (sModel > sMake) modelHit += sModel;
+        });
+        return { total: total, modelHit: modelHit, rest: rest };
+      };
+      known.models.forEach(function (m) {
+        var make = { slug: m.make, name: makeName[m.make] || m.make };
+        var sc = score(make, m);
+        if (sc.modelHit) scored.push({ make: make, model: { slug: m.slug, name: m.name }, year: parsed.year, rest: sc.rest, score: sc.total });
+      });
+      known.makes.forEach(function (m) {
+        var sc = score(m, null);
+        if (sc.total) scored.push({ make: m, model: null, year: parsed.year, rest: sc.rest, score: sc.total - 0.5 });
+      });
+      scored.sort(function (a, b) { return b.score - a.score || a.rest.length - b.rest.length; });
+      return scored.slice(0, 6);
+    });
+  }
+  function suggestionLabel(c) {
+    return c.make.name + (c.model ? " " + c.model.name : "") + (c.year ? " " + c.year : "") +
+      (c.rest && c.rest.length ? " · " + c.rest.join(" ") : "");
+  }
+  function renderSuggestions() {
+    var q = ui.query.value;
+    suggestVehicles(q).then(function (list) {
+      if (q !== ui.query.value) return; // typed on meanwhile
+      ui.suggest.innerHTML = "";
+      list.forEach(function (c) {
+        var b = el("button", { type: "button", class: "oem-suggest__item", role: "option" }, esc(suggestionLabel(c)));
+        b.addEventListener("click", function () { pickSuggestion(c); });
+        ui.suggest.appendChild(b);
+      });
+    });
+  }
+  function pickSuggestion(c) {
+    ui.suggest.innerHTML = "";
+    return jumpTo({ region: ui.region.value, make: c.make.slug, model: c.model && c.model.slug, year: c.year, trim: c.rest.join(" ") });
+  }
+  // Walks the cascade as far as the target allows: {region, make, model,
+  // year, trim} where trim is free text matched against the trim labels
+  function jumpTo(v) {
+    var chain = makesLoading || Promise.resolve();
+    if (v.region && ui.region.value !== v.region) {
+      ui.region.value = v.region;
+      chain = onRegion();
+    }
+    return chain.then(function () {
+      if (!hasOption(ui.make, v.make)) { setStatus("Make not available in this region."); return false; }
+      ui.make.value = v.make;
+      return onMake();
+    }).then(function (ok) {
+      if (!ok || !v.model) return false;
+      if (!hasOption(ui.model, v.model)) { setStatus("Model not found for this make."); return false; }
+      ui.model.value = v.model;
+      return onModel();
+    }).then(function (ok) {
+      if (!ok) return false;
+      if (!v.year || !hasOption(ui.year, v.year)) {
+        if (v.year) setStatus("No data for " + v.year + ". Pick a year.");
+        ui.year.focus();
+        return false;
+      }
+      ui.year.value = String(v.year);
+      return onYear();
+    }).then(function (ok) {
+      if (!ok || ui.trim.value !== "") return;
+      var tokens = words(v.trim);
+      var best = -1, bestScore = 0, tie = false;
+      currentTrims.forEach(function (t, i) {
+        var sc = tokens.reduce(function (sum, tok) { return sum + tokenScore(tok, trimLabel(t)); }, 0);
+        if (sc > bestScore) { best = i; bestScore = sc; tie = false; }
+        else if (sc && sc === bestScore) tie = true;
+      });
+      if (best >= 0 && !tie) { ui.trim.value = String(best); onTrim(); }
+      else ui.trim.focus();
+    });
+  }
+  function hasOption(sel, value) {
+    return value != null && Array.prototype.some.call(sel.options, function (o) { return o.value === String(value); });
+  }
+
+  function loadRecent() {
+    try { return JSON.parse(localStorage.getItem(RECENT_KEY) || "[]") || []; } catch (_) { return []; }
+  }
+  function rememberVehicle(t) {
+    var v = {
+      region: ui.region.value,
+      make: ui.make.value, makeName: ui.make.options[ui.make.selectedIndex].textContent,
+      model: ui.model.value, modelName: ui.model.options[ui.model.selectedIndex].textContent,
+      year: ui.year.value, trim: trimLabel(t)
+    };
+    var list = loadRecent().filter(function (r) {
+      return !(r.region === v.region && r.make === v.make && r.model === v.model && r.year === v.year && r.trim === v.trim);
+    });
+    list.unshift(v);
+    try { localStorage.setItem(RECENT_KEY, JSON.stringify(list.slice(0, RECENT_MAX))); } catch (_) { /* ignore */ }
+    renderRecent();
+  }
+  function renderRecent() {
+    var list = loadRecent();
+    ui.recent.innerHTML = "";
+    ui.recent.hidden = !list.length;
+    list.forEach(function (v) {
+      var chip = el("button", { type: "button", class: "oem-chip", title: v.trim }, esc(v.makeName + " " + v.modelName + " " + v.year));
+      chip.addEventListener("click", function () { jumpTo(v); });
+      ui.recent.appendChild(chip);
+    });
+  }
+
+  // ---- reverse lookup --------------------------------------------------
+  function isReverse() { return ui.mode.value === "reverse"; }
+  function syncMode() {
+    var rev = isReverse();
+    [ui.model, ui.year, ui.trim].forEach(function (sel) { sel.parentNode.hidden = rev; });
+    ui.reverse.hidden = !rev;
+    ui.quick.hidden = rev;
+    ui.fitments.hidden = rev;
+    ui.hits.hidden = !rev;
+    ui.apply.hidden = rev;
+    ui.addAll.hidden = rev;
+    ui.overlay.querySelectorAll("[data-rev]").forEach(function (f) {
+      f.hidden = f.getAttribute("data-rev") !== ui.revBy.value;
+    });
+    ui.revSearch.disabled = !ui.make.value;
+    if (rev && !ui.revTire.value && !ui.revPcd.value) fillReverseFromBaseline();
+    if (!rev && ui.make.value && ui.model.disabled) onMake();
+  }
+  function baseVal(id) { var e = document.getElementById(id); return e ? e.value.trim() : ""; }
+  function fillReverseFromBaseline() {
+    var tire = baseVal("base_tire"), diam = baseVal("base_rim_diam");
+    var norm = tire ? normTire(tire) : null;
+    if (norm && norm.size) ui.revTire.value = norm.size + "R" + (norm.rimIn != null ? norm.rimIn : diam);
+    ui.revPcd.value = baseVal("base_pcd");
+    ui.revBore.value = baseVal("base_bore");
+    ui.revDiam.value = diam;
+    ui.revWidth.value = baseVal("base_rim_width");
+    ui.revEt.value = baseVal("base_offset");
+  }
+
+  function num(v) { var n = parseFloat(v); return isFinite(n) ? n : null; }
+  // "5x112" / "5×4.5" -> {holes, mm}; inch circles are converted
+  function parsePcd(s) {
+    var m = String(s || "").replace(/\s+/g, "").match(/^(\d+)[x×X*](\d+(?:\.\d+)?)$/);
+    if (!m) return null;
+    var d = parseFloat(m[2]);
+    return { holes: parseInt(m[1], 10), mm: d < 10 ? d * 25.4 : d };
+  }
+  // "225/45ZR17 94W" -> "225/45R17" (metric sizes only)
+  function tireKey(s) {
+    var m = String(s || "").replace(/\s+/g, "").toUpperCase().match(/^(\d{3})\/(\d{2})Z?R?F?(\d{2}(?:\.\d)?)/);
+    return m ? m[1] + "/" + m[2] + "R" + m[3] : null;
+  }
+  function samePcd(a, b) {
+    return !!(a && b && a.holes === b.holes && Math.abs(a.mm - b.mm) < 0.5);
+  }
+  // Query for the search endpoint, or null (with a status) if the inputs
+  // are incomplete
+  function reverseQuery() {
+    var params = { make: ui.make.value, region: ui.region.value };
+    if (ui.revBy.value === "tire") {
+      var key = tireKey(ui.revTire.value);
+      if (!key) { setStatus("Enter a metric tire size like 225/45R17.", "bad"); return null; }
+      var m = key.match(/^(\d+)\/(\d+)R(.+)$/);
+      params.section_width = m[1];
+      params.aspect_ratio = m[2];
+      params.rim_diameter = m[3];
+      return { kind: "tire", params: params, label: key };
+    }
+    var pcd = parsePcd(ui.revPcd.value), diam = num(ui.revDiam.value), width = num(ui.revWidth.value);
+    var et = num(ui.revEt.value), tol = num(ui.revEtTol.value);
+    if (!pcd && diam == null) { setStatus("Enter at least the bolt pattern or the rim diameter.", "bad"); return null; }
+    if (pcd) params.bolt_pattern = pcd.holes + "x" + (Math.round(pcd.mm * 10) / 10);
+    if (diam != null) params.rim_diameter = diam;
+    if (width != null) params.rim_width = width;
+    if (et != null) {
+      tol = tol == null ? 10 : Math.abs(tol);
+      params.offset_min = et - tol;
+      params.offset_max = et + tol;
+    }
+    var label = [pcd ? ui.revPcd.value.trim() : "", diam != null ? (width != null ? width + "J" : "") + "x" + diam : "",
+      et != null ? "ET" + et : ""].filter(Boolean).join(" ");
+    return { kind: "rim", params: params, label: label };
+  }
+  // Drops records that contradict the wheel inputs the API may not filter on
+  function hitMatches(h) {
+    if (ui.revBy.value !== "rim") return true;
+    var tech = h.technical || {};
+    var pcd = parsePcd(ui.revPcd.value), bore = num(ui.revBore.value);
+    var et = num(ui.revEt.value), tol = Math.abs(num(ui.revEtTol.value) || 10);
+    var carPcd = parsePcd(tech.bolt_pattern || (tech.stud_holes && tech.pcd ? tech.stud_holes + "x" + tech.pcd : ""));
+    if (pcd && carPcd && !samePcd(pcd, carPcd)) return false;
+    // The wheel's bore must clear the hub (rings fill the rest)
+    var hubBore = num(tech.centre_bore);
+    if (bore != null && hubBore != null && hubBore > bore + 0.05) return false;
+    if (et != null && Array.isArray(h.wheels) && h.wheels.length) {
+      return h.wheels.some(function (w) {
+        return [w.front, w.rear].some(function (c) { return c && c.rim_offset != null && Math.abs(c.rim_offset - et) <= tol; });
+      });
+    }
+    return true;
+  }
+  function nameOf(o) { return o == null ? "" : typeof o === "object" ? (o.name || o.name_en || o.slug || "") : String(o); }
+  function slugOf(o) { return o == null ? "" : typeof o === "object" ? (o.slug || o.name || "") : String(o); }
+  // One entry per make/model/year range, with the trims that matched
+  function groupHits(items) {
+    var groups = {}, order = [];
+    items.filter(hitMatches).forEach(function (h) {
+      var years = Array.isArray(h.years) ? h.years.map(Number).filter(isFinite) : [];
+      var from = num(h.start_year) || (years.length ? Math.min.apply(null, years) : num(h.year));
+      var to = num(h.end_year) || (years.length ? Math.max.apply(null, years) : from);
+      var key = [slugOf(h.make), slugOf(h.model), from, to].join("|");
+      if (!groups[key]) {
+        groups[key] = { make: h.make, model: h.model, from: from, to: to, trims: [], slugs: [] };
+        order.push(key);
+      }
+      var trim = h.trim || nameOf(h.modification);
+      if (trim && groups[key].trims.indexOf(trim) < 0) groups[key].trims.push(trim);
+      if (h.slug) groups[key].slugs.push(h.slug);
+    });
+    return order.map(function (k) { return groups[k]; });
+  }
+  function yearsLabel(g) {
+    if (g.from == null) return "";
+    return g.to != null && g.to !== g.from ? g.from + "–" + g.to : String(g.from);
+  }
+
+  function reverseSearch() {
+    if (!ui.make.value) { setStatus("Pick a make first.", "bad"); return; }
+    var q = reverseQuery();
+    if (!q) return;
+    ui.hits.innerHTML = "";
+    setStatus("Searching…", "busy");
+    source.search(q.kind, q.params).then(function (res) {
+      var hits = groupHits(rows(res.json));
+      var make = ui.make.options[ui.make.selectedIndex].textContent;
+      doneStatus(res, hits.length ? "" : "No " + make + " vehicles found for " + q.label + ".",
+        hits.length + " " + make + (hits.length === 1 ? " vehicle uses " : " vehicles use ") + q.label + ".");
+      renderHits(hits);
+    }).catch(err);
+  }
+  function renderHits(hits) {
+    var wrap = el("div", { class: "oem-fit-list" });
+    hits.forEach(function (g) {
+      var row = el("div", { class: "oem-fit oem-hit" });
+      row.innerHTML =
+        '<span class="oem-fit__body">' +
+          '<span class="oem-fit__main">' + esc(nameOf(g.make) + " " + nameOf(g.model)) + '</span>' +
+          '<span>' + esc(yearsLabel(g)) + '</span>' +
+          (g.trims.length ? '<span class="oem-fit__rear">' + esc(g.trims.join(", ")) + '</span>' : '') +
+        '</span>' +
+        '<button type="button" class="oem-fit__add">Add as Setup</button>';
+      var add = row.querySelector(".oem-fit__add");
+      add.addEventListener("click", function () {
+        add.disabled = true;
+        addHitSetup(g).then(function () { add.disabled = false; });
+      });
+      wrap.appendChild(row);
+    });
+    ui.hits.innerHTML = "";
+    ui.hits.appendChild(wrap);
+  }
+  // Loads the hit's factory fitments (latest year of the range) and adds
+  // the OE fitment that uses the searched size as a comparison setup
+  function addHitSetup(g) {
+    var year = g.to != null ? Math.min(g.to, new Date().getFullYear()) : g.from;
+    var label = nameOf(g.make) + " " + nameOf(g.model) + (year ? " " + year : "");
+    if (year == null) { setStatus("No model year for " + label + ".", "bad"); return Promise.resolve(); }
+    setStatus("Loading " + label + "…", "busy");
+    return source.trims(ui.region.value, slugOf(g.make), slugOf(g.model), year).then(function (res) {
+      var trims = rows(res.json);
+      var mine = trims.filter(function (t) { return t.slug && g.slugs.indexOf(t.slug) >= 0; });
+      if (!mine.length) mine = trims;
+      // Prefer a trim whose factory fitments use the searched size
+      var trim = mine.filter(sizeFitment)[0] || mine[0];
+      var wheels = (trim && Array.isArray(trim.wheels)) ? trim.wheels : [];
+      var stock = wheels.filter(function (w) { return w.is_stock; });
+      var w = (trim && sizeFitment(trim)) || stock[0];
+      if (!w) { setStatus("No factory fitment data for " + label + ".", "bad"); return; }
+      if (addAsSetup(w, trim)) setStatus("Added " + label + " (" + fmtCorner(w.front) + ") to Compare Setups.");
+    }).catch(err);
+  }
+  // The trim's factory fitment that uses the searched size, if any;
+  // replacement (non-stock) wheels are never the hit's factory setup
+  function sizeFitment(t) {
+    var wheels = Array.isArray(t.wheels) ? t.wheels : [];
+    return wheels.filter(function (w) { return w.is_stock && usesSearchedSize(w); })[0] || null;
+  }
+  function usesSearchedSize(w) {
+    return [w.front, w.rear].some(function (c) {
+      if (!c) return false;
+      if (ui.revBy.value === "tire") return !!c.tire && tireKey(c.tire) === tireKey(ui.revTire.value);
+      var diam = num(ui.revDiam.value), width = num(ui.revWidth.value);
+      return (diam == null || c.rim_diameter === diam) && (width == null || c.rim_width === width);
+    });
+  }
+
   // ---- misc ------------------------------------------------------------
   function enc(s) { return encodeURIComponent(s); }
   function setVal(id, v) { var e = document.getElementById(id); if (e) e.value = v; }
@@ -338,10 +1243,15 @@
 
   function isOpen() { return ui && ui.overlay.classList.contains("is-open"); }
   function open() {
-    if (!ui) buildModal();
+    var first = !ui;
+    if (first) buildModal();
     ui.overlay.classList.add("is-open");
     ui.overlay.setAttribute("aria-hidden", "false");
-    if (!ui.make.options.length || ui.make.disabled) onRegion();
+    // The first open waits for the catalog probe to settle the source
+    var ready = first ? probeCatalog().then(initSource) : Promise.resolve();
+    makesLoading = ready.then(function () {
+      if (!ui.make.options.length || ui.make.disabled) return onRegion();
+    });
   }
   function close() {
     if (ui) { ui.overlay.classList.remove("is-open"); ui.overlay.setAttribute("aria-hidden", "true"); }
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/*
+  ToolMeUp • Offline fitment catalog importer
+  ------------------------------------------------------------------
+  Turns a CSV or JSON fitment dataset into static JSON files that the OEM
+  Presets wizard (oem-presets.js) reads as its "Local catalog" source, so
+  the wizard works without network or Wheel-Size API quota.
+
+  Usage:
+    node scripts/import-fitments.js <dataset.csv|dataset.json> [options]
+
+  Options:
+    --out <dir>       Output folder (default: static/fitments next to the site)
+    --region <slug>   Region for records without one (default: usdm)
+    --source <text>   Dataset name shown in the wizard (default: file name)
+    --clean           Remove the output folder before writing
+
+  Input, either:
+    - JSON shaped like the API's search/by_model/ records, with make/model
+      added: [{ region?, make, model, start_year, end_year, trim, technical,
+      wheels: [{ is_stock, front: {tire, rim_diameter, rim_width, rim_offset},
+      rear }] }] (a top-level { data: [...] } works too), or
+    - flat rows (CSV, or JSON objects), one fitment per row, columns:
+        region, make, model, year | year_from + year_to, trim,
+        bolt_pattern, centre_bore, thread_size, fastener_type, is_stock,
+        front_tire, front_rim_diameter, front_rim_width, front_rim_offset,
+        rear_tire, rear_rim_diameter, rear_rim_width, rear_rim_offset
+      Rows of the same region/make/model/years/trim become one trim.
+
+  Output (same {data: [...]} shape the API returns):
+    catalog.json                          manifest: regions, counts, build date
+    <region>/makes.json                   makes of the region
+    <region>/<make>/models.json           models of the make
+    <region>/<make>/<model>.json          years + trims (with wheels) of the model
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUT = path.join(__dirname, '..', 'static', 'fitments');
+
+function parseArgs(argv) {
+  const opts = { input: null, out: DEFAULT_OUT, region: 'usdm', source: null, clean: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--out') opts.out = path.resolve(argv[++i]);
+    else if (a === '--region') opts.region = argv[++i];
+    else if (a === '--source') opts.source = argv[++i];
+    else if (a === '--clean') opts.clean = true;
+    else if (a === '-h' || a === '--help') opts.help = true;
+    else if (!opts.input) opts.input = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  return opts;
+}
+
+// ---- input --------------------------------------------------------------
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF or LF line ends
+function parseCsv(text) {
+  // Spreadsheets in comma-decimal locales export with semicolons
+  const first = text.slice(0, text.search(/\r?\n|$/));
+  const sep = (first.match(/;/g) || []).length > (first.match(/,/g) || []).length ? ';' : ',';
+  const out = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f !== '')) out.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) out.push(row);
+  if (!out.length) return [];
+  const head = out[0].map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+  return out.slice(1).map(r => Object.fromEntries(head.map((h, i) => [h, (r[i] || '').trim()])));
+}
+
+function readDataset(file) {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  if (/\.json$/i.test(file)) {
+    const j = JSON.parse(text);
+    return Array.isArray(j) ? j : (j && Array.isArray(j.data) ? j.data : []);
+  }
+  return parseCsv(text);
+}
+
+// ---- normalizing ----------------------------------------------------------
+function slugify(s) {
+  return String(s == null ? '' : s).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+function num(v) {
+  if (v == null || v === '') return null;
+  const n = parseFloat(String(v).replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+function bool(v) {
+  if (typeof v === 'boolean') return v;
+  return /^(1|true|yes|y|oe|stock)$/i.test(String(v == null ? '' : v).trim());
+}
+// {slug, name} from a string or an API-style object
+function named(v) {
+  if (v && typeof v === 'object') return { slug: v.slug || slugify(v.name), name: v.name || v.slug };
+  return { slug: slugify(v), name: String(v == null ? '' : v).trim() };
+}
+// Rim fields the row leaves out are taken from `fallback` (the front
+// corner), so a row with only rear_tire still gets a complete rear rim
+function corner(row, side, fallback) {
+  const rim = key => num(row[`${side}_${key}`]) ?? (fallback ? fallback[key] : null);
+  const c = {
+    tire: row[`${side}_tire`] || null,
+    rim_diameter: rim('rim_diameter'),
+    rim_width: rim('rim_width'),
+    rim_offset: rim('rim_offset')
+  };
+  return c.tire || num(row[`${side}_rim_diameter`]) != null ? c : null;
+}
+
+// One API-shaped trim record per input record (rows are merged later)
+function toRecord(r, opts) {
+  const make = named(r.make), model = named(r.model);
+  if (!make.slug || !model.slug) return null;
+  const region = slugify(r.region) || opts.region;
+  if (Array.isArray(r.wheels)) {
+    return {
+      region, make, model,
+      start_year: num(r.start_year) ?? num(r.year), end_year: num(r.end_year) ?? num(r.start_year) ?? num(r.year),
+      trim: r.trim || r.name || '', technical: r.technical || {}, wheels: r.wheels
+    };
+  }
+  const from = num(r.year_from) ?? num(r.year), to = num(r.year_to) ?? from;
+  const front = corner(r, 'front');
+  const tech = {};
+  if (r.bolt_pattern) tech.bolt_pattern = String(r.bolt_pattern).replace(/\s+/g, '').replace(/[×X*]/, 'x');
+  if (num(r.centre_bore ?? r.center_bore) != null) tech.centre_bore = String(num(r.centre_bore ?? r.center_bore));
+  if (r.thread_size || r.fastener_type) {
+    tech.wheel_fasteners = { type: r.fastener_type || null, thread_size: r.thread_size || null };
+  }
+  return {
+    region, make, model, start_year: from, end_year: to, trim: r.trim || '', technical: tech,
+    wheels: front ? [{ is_stock: bool(r.is_stock), front, rear: corner(r, 'rear', front) || front }] : []
+  };
+}
+
+// Groups records into region -> make -> model -> trims, merging rows of
+// the same trim and dropping duplicate wheels
+function buildCatalog(records) {
+  const regions = {};
+  let skipped = 0;
+  records.forEach(rec => {
+    if (!rec || rec.start_year == null) { skipped++; return; }
+    const makes = regions[rec.region] || (regions[rec.region] = {});
+    const mk = makes[rec.make.slug] || (makes[rec.make.slug] = { make: rec.make, models: {} });
+    const md = mk.models[rec.model.slug] || (mk.models[rec.model.slug] = { model: rec.model, trims: {} });
+    const key = [rec.start_year, rec.end_year, slugify(rec.trim)].join('|');
+    const trim = md.trims[key] || (md.trims[key] = {
+      slug: [rec.model.slug, rec.start_year, rec.end_year, slugify(rec.trim)].filter(Boolean).join('-'),
+      trim: rec.trim, start_year: rec.start_year, end_year: rec.end_year,
+      technical: rec.technical, wheels: []
+    });
+    if (!Object.keys(trim.technical).length) trim.technical = rec.technical;
+    rec.wheels.forEach(w => {
+      const sig = JSON.stringify([w.front, w.rear]);
+      const same = trim.wheels.find(x => JSON.stringify([x.front, x.rear]) === sig);
+      if (same) same.is_stock = same.is_stock || !!w.is_stock;
+      else trim.wheels.push({ is_stock: !!w.is_stock, front: w.front, rear: w.rear || w.front });
+    });
+  });
+  return { regions, skipped };
+}
+
+// ---- output -------------------------------------------------------------
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+function writeCatalog(cat, opts) {
+  const manifest = { version: 1, generated: new Date().toISOString(), source: opts.source, regions: [], counts: {} };
+  Object.keys(cat.regions).sort().forEach(region => {
+    const makes = cat.regions[region];
+    const dir = path.join(opts.out, region);
+    let models = 0, trims = 0;
+    writeJson(path.join(dir, 'makes.json'), { data: Object.values(makes).map(m => m.make).sort(byName) });
+    Object.values(makes).forEach(mk => {
+      writeJson(path.join(dir, mk.make.slug, 'models.json'), { data: Object.values(mk.models).map(m => m.model).sort(byName) });
+      Object.values(mk.models).forEach(md => {
+        const list = Object.values(md.trims).sort((a, b) => a.start_year - b.start_year || byName({ name: a.trim }, { name: b.trim }));
+        const years = new Set();
+        list.forEach(t => { for (let y = t.start_year; y <= t.end_year; y++) years.add(y); });
+        writeJson(path.join(dir, mk.make.slug, `${md.model.slug}.json`), {
+          make: mk.make, model: md.model, years: [...years].sort((a, b) => b - a), data: list
+        });
+        models++;
+        trims += list.length;
+      });
+    });
+    manifest.regions.push(region);
+    manifest.counts[region] = { makes: Object.keys(makes).length, models, trims };
+  });
+  writeJson(path.join(opts.out, 'catalog.json'), manifest);
+  return manifest;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.input) {
+    console.log('Usage: node scripts/import-fitments.js <dataset.csv|dataset.json> [--out dir] [--region slug] [--source name] [--clean]');
+    process.exit(opts.help ? 0 : 1);
+  }
+  opts.source = opts.source || path.basename(opts.input);
+  const records = readDataset(opts.input).map(r => toRecord(r, opts));
+  const cat = buildCatalog(records);
+  if (!Object.keys(cat.regions).length) throw new Error('No usable fitment records (need make, model and year).');
+  if (opts.clean) fs.rmSync(opts.out, { recursive: true, force: true });
+  const manifest = writeCatalog(cat, opts);
+  manifest.regions.forEach(r => {
+    const c = manifest.counts[r];
+    console.log(`${r}: ${c.makes} makes, ${c.models} models, ${c.trims} trims`);
+  });
+  if (cat.skipped) console.log(`Skipped ${cat.skipped} records without make, model or year.`);
+  console.log(`Catalog written to ${opts.out}`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(`import-fitments: ${e.message}`);
+  process.exit(1);
+}
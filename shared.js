@@ -54,7 +54,7 @@
   const AR = {
     hint_offset: "المسافة (مم) من سطح تثبيت الجنط إلى خط منتصفه: الرقم الأعلى يُدخل الجنط أكثر إلى الداخل، والرقم الأقل أو السالب يدفعه إلى الخارج.",
     hint_spacer: "صفيحة (مم) تُركّب بين الصرة والجنط لتدفع الجنط بالكامل إلى الخارج. اتركه فارغاً إذا لم يكن هناك فاصل (سبيسر) مركّباً.",
-    hint_tire_size: "الرقم الأول هو عرض الإطار (مم)؛ والثاني هو ارتفاع الجدار الجانبي كنسبة (%) من ذلك العرض. رقم R يؤخذ من قطر الجنط لديك.",
+    hint_tire_size: "الرقم الأول هو عرض الإطار (مم)؛ والثاني هو ارتفاع الجدار الجانبي كنسبة (%) من ذلك العرض. رقم R يؤخذ من قطر الجنط لديك. يمكنك إضافة مؤشر الحمولة ورمز السرعة كما هي مطبوعة (مثل 235/45 94Y XL).",
     hint_correction: "بعض أنواع الإطارات تكون أعرض من المذكور، وهذا يساعدنا على التأكد من أن إطارك لا يلامس أي شيء. اتركه 0 إذا كنت لا تعرف قيمته.",
     hint_bulge: "انتفاخ الجدار الجانبي خارج حافة الجنط، كما هو موضح في الرسم. النسبة المعتادة 5%.",
     hint_arch_clearance: "الفجوة (مم) بين أعلى الإطار الحالي وقوس العجلة / بطانة الرفرف. الإطارات الأطول تقلل هذه الفجوة؛ نستخدمها لتحذيرك في حال احتك الإطار.",
@@ -63,6 +63,102 @@
     hint_speedo_asper: "بحسب إعداداتك، ",
     hint_thresholds: "هذه حدود التحذير. سنحسب الخلوص بناءً على إعداداتك الحالية المُدخلة وسنحذّرك عند تجاوز الحدود. لن يتم إيقاف الحساب.",
     hint_sessions: "اختر اسم الجلسة لتحميلها.",
+    hint_awd_tol: "قد تتضرر أنظمة الدفع الرباعي عندما تقطع الإطارات الأمامية والخلفية مسافات مختلفة. استخدم الحد المذكور في دليل المالك؛ 0.5% قيمة افتراضية آمنة.",
+    hint_tread: "عمق النقشة المتبقي (مم) المقاس على كل محور. اتركه فارغاً للإطارات الجديدة. الإطارات المستهلكة تقطع مسافة أقصر، وهذا مهم في سيارات الدفع الرباعي.",
+    rep_awd_desc: "محيط الدوران الأمامي مقابل الخلفي مع احتساب تآكل النقشة. المسموح ±{tol} %",
+    alert_awd_mismatch: "فرق المحيط الأمامي/الخلفي للدفع الرباعي ← {pct}% ({mm} مم)، المسموح ±{tol}%",
+    hint_rim_adjust: "تُقاس الإطارات على جنط قياسي. كل ½ بوصة في عرض الجنط فوقه أو تحته تجعل الإطار أعرض أو أضيق بنحو 5 مم.",
+    rim_fit_approved: "معتمد",
+    rim_fit_stretched: "مشدود",
+    rim_fit_too_wide: "الإطار أعرض من الجنط",
+    rep_rim_fit_desc: "عرض الجنط مقارنة بالنطاق المعتمد للإطار (ETRTO/TRA). مشدود = الجنط أعرض من اللازم للإطار",
+    alert_rim_fit: "عرض الجنط {width}\" ← {status} (المعتمد {min}–{max}\"، جنط القياس {meas}\")",
+    hint_scrub: "من دليل الورشة (المحور الأمامي). ميل محور التوجيه عادة 12–15°؛ ونصف قطر الاحتكاك موجب عندما تكون بصمة الإطار خارج محور التوجيه. اتركه فارغاً إن لم تعرفه؛ سيظهر تغيّر عرض المسار رغم ذلك.",
+    rep_track_change_desc: "تغيّر عرض المسار عبر المحور (العجلتين). موجب = أعرض",
+    rep_scrub_change_desc: "تغيّر نصف قطر الاحتكاك للتوجيه. الزيادات الموجبة الكبيرة تسبب سحب المقود وثقل التوجيه",
+    rep_scrub_final_desc: "نصف قطر الاحتكاك عند الأرض. موجب = بصمة الإطار خارج محور التوجيه",
+    alert_scrub: "نصف قطر الاحتكاك ← أكثر إيجابية بـ {value} مم: توقع توجيهاً أثقل وسحباً للمقود (ضيق فوق {warn} مم، سيئ فوق {bad} مم)",
+    hint_sweep: "تُقاس والعجلات مستقيمة عند ارتفاع القيادة. نقطتا المساعد وحافة الرفرف تستخدمان الخلوصات الداخلية والخارجية وخلوص القوس أعلاه؛ أما فجوة البطانة فتُقاس من سطح المداس عند حافته الداخلية (اتركها فارغة لتجاهل البطانة). المواضع زوايا من أعلى الإطار، والموجب باتجاه مقدمة السيارة.",
+    sweep_pt_liner: "البطانة الداخلية",
+    sweep_pt_strut: "المساعد",
+    sweep_pt_lip: "حافة الرفرف",
+    sweep_no_contact: "لا تلامس",
+    sweep_lock: "التوجيه",
+    sweep_travel: "المشوار",
+    rep_sweep_worst_desc: "أصغر فجوة مع البطانة أو المساعد أو حافة الرفرف في أي نقطة من مدى التوجيه والتعليق",
+    rep_sweep_steer_desc: "زاوية التوجيه التي يلمس عندها الإطار لأول مرة، والعجلات عند ارتفاع القيادة",
+    rep_sweep_travel_desc: "مشوار التعليق الذي يلمس عنده الإطار لأول مرة، والعجلات مستقيمة. موجب = انضغاط",
+    alert_sweep: "محاكاة التوجيه والتعليق: خلوص {point} ← {value} مم عند زاوية {steer}°، ومشوار {travel} مم",
+    hint_camber: "الميلان السلبي يميل أعلى الإطار إلى الداخل. عندها تُفحص الخلوصات عند ارتفاع المساعد (الداخلي) وعند أعلى الإطار (حافة الرفرف). تستخدم التركيبات هذه القيم ما لم تُحدَّد لها قيم خاصة.",
+    hint_gearing: "النسب من الغيار الأول إلى الأعلى كما في دليل المالك. تُحسب الدورات من إطار المحور الدافع (انظر نوع الدفع في الإعدادات المتقدمة)؛ الإطار الأطول يخفض الدورات والتسارع كأنه ترس نهائي أقصر.",
+    gear_need_input: "أدخل نسب الغيارات والترس النهائي، واحفظ الإعداد الأساسي.",
+    gear_rpm_desc: "دورات المحرك عند {speed} (النسبة {ratio})",
+    gear_final_desc: "الترس النهائي الفعلي الذي يشعر به المحرك مع هذا الإطار، مقارنة بإطار الأساس",
+    gear_top_desc: "السرعة النظرية عند {rpm} دورة/دقيقة في أطول غيار",
+    hint_calibration: "قيم تصحيح لبرمجة وحدة التحكم أو العدادات، مبنية على إطار المحور الدافع وخطأ عداد السرعة الحالي من الإعداد الأساسي. أدخل القيم المبرمجة حالياً في العداد لتحصل على القيم الجديدة.",
+    cal_error_desc: "الخطأ الكلي شاملاً خطأ عداد السرعة الأساسي. موجب = يقرأ أسرع من الفعلي",
+    cal_factor_desc: "اضرب السرعة المعروضة (أو المحيط المبرمج) في هذا المعامل لتحصل على القراءة الصحيحة",
+    cal_pulses_desc: "نبضات حساس السرعة لكل كم المطلوب برمجتها ليقرأ العداد بدقة",
+    cal_circ_desc: "محيط الإطار المطلوب برمجته ليقرأ العداد بدقة",
+    cal_odo_desc: "المسافة الزائدة التي يضيفها عداد المسافات خلال {dist}. سالب = يقرأ أقل",
+    cal_export_desc: "تنزيل ورقة المعايرة هذه",
+    hint_load_type: "اختياري. يتجاوز مؤشر الحمولة وعلامة XL المكتوبة مع مقاس الإطار. إطارات XL تحتاج ضغط هواء أعلى لتحمل حمولتها الكاملة.",
+    hint_pressure: "من ملصق إطار الباب، للإطارات الأساسية. يحصل كل إعداد بعدها على أقل ضغط يحمل نفس الحمولة (جداول ETRTO/TRA). اترك الخلفي فارغًا إذا كان مطابقًا للأمامي.",
+    rep_pressure_desc: "أقل ضغط هواء لحمل نفس حمولة الإطار الأساسي عند ضغط الملصق (جداول ETRTO/TRA). الأحمر = لا يستطيع حملها حتى عند أقصى ضغط للحمولة",
+    pressure_unreachable: "غير ممكن",
+    alert_pressure: "ضغط الإطار ← {bar} بار ({psi} psi) يحمل نفس حمولة الإطار الأساسي عند {baseBar} بار ({load} كجم لكل إطار)",
+    alert_pressure_low: "ضغط الإطار ← لا يستطيع حمل حمولة الإطار الأساسي {load} كجم لكل إطار: {value} كجم كحد أقصى، حتى عند {bar} بار ({psi} psi)",
+    hint_weights: "اختياري، لعجلة واحدة وإطار واحد. عند إدخال الأوزان للإعداد الأساسي وإعداد آخر، يقارن التقرير الكتلة غير المعلقة وعزم القصور الدوراني.",
+    rep_unsprung_desc: "التغير في وزن العجلة والإطار لكل زاوية",
+    rep_inertia_desc: "عزم القصور الذاتي التقريبي لعجلة وإطار واحد (غلاف الجنط + حلقة الإطار)",
+    rep_eq_mass_desc: "الكتلة الإضافية التي يشعر بها المحرك لكل زاوية عند التسارع: تغير الوزن مع القصور الدوراني",
+    rep_eq_mass_vehicle_desc: "الزوايا الأربع: تسارع سيارة أثقل بهذا المقدار",
+    hint_plus_finder: "مقاسات إطارات تحافظ على القطر الكلي لـ {tire}. تستخدم النتائج عرض جنط القياس وإزاحة الإعداد الأساسي؛ إضافة أي نتيجة تنشئ بطاقة إعداد يمكنك ضبطها.",
+    plus_speedo: "العداد",
+    plus_arch: "القوس",
+    plus_rim: "الجنط",
+    hint_solver_target: "المسافة المطلوبة بين الحافة الخارجية للجنط والرفرف: 0 يعني مستوي، والقيمة السالبة تعني بروزًا خارج الرفرف.",
+    hint_solver: "يستخدم الخلوصين الداخلي والخارجي والحدود من الإعداد الأساسي، على المحور المختار فوق الرسومات. مرّر المؤشر فوق أي خلية لرؤية الخلوص المتبقي.",
+    solver_need_clear: "أدخل الخلوص الداخلي والخارجي الحالي في الإعداد الأساسي لاستخدام الحاسبة.",
+    solver_inner: "داخلي",
+    solver_outer: "خارجي",
+    solver_flush_spacer: "فاصل {spacer} على إزاحة ET {et}",
+    solver_flush_past: "إزاحة ET {et} بارزة أصلًا بمقدار {over} بعد الهدف",
+    solver_flush: "الحافة الخارجية عند {target} لجنط بعرض {width}\": إزاحة ET {et} بدون فاصل، أو {spacer}. الخلوص الداخلي {inner}.",
+    solver_grid_desc: "عرض الجنط × الإزاحة مع فاصل {spacer}{axle}. الأخضر = مناسب، الكهرماني = ضمن {tight} مم من الحد، الأحمر = غير مناسب. الخلية المحددة هي الإعداد الأساسي.",
+    hint_hub: "من محور العجلة وصواميل/براغي العجلات الحالية. تُفحص الإعدادات التي لها نمط براغي وفتحة مركزية ونوع مقعد خاص بها مقابل هذه القيم؛ ومع وجود فاصل، كل مم من الفاصل يأخذ مم من تعشيق السن. سماكة مقعد الجنط هي سماكة قاعدة التثبيت عند فتحات البراغي، وتحدد طول المسامير/البراغي اللازم مع الفاصل.",
+    rep_pcd_desc: "نمط براغي الجنط (PCD) مقابل المحور. الفروق الصغيرة تحتاج براغي لامركزية (Wobble)",
+    rep_bore_desc: "الفتحة المركزية للجنط مقابل المحور. الفتحات الأكبر تحتاج حلقة تمركز",
+    rep_seat_desc: "نوع مقعد الصواميل في الجنط. الكهرماني = تحتاج صواميل/براغي مختلفة",
+    rep_engagement_desc: "طول السن المعشّق بعد تركيب فاصل منزلق؛ حافظ على قطر سن واحد و{turns} لفات على الأقل",
+    rep_spacer_type_desc: "فاصل منزلق حتى {max} مم؛ الفواصل الأسمك يجب أن تكون محولات مثبتة بالبراغي ومتمركزة على المحور",
+    rep_lug_length_desc: "أقل طول للسن من وجه المحور: الفاصل + سماكة مقعد الجنط + الحد الأدنى للتعشيق. مع المحول المثبت بالبراغي: مساميره الخاصة",
+    rep_stud_protrusion_desc: "مقدار بروز مسامير السيارة بعد الوجه الخارجي للمحول المثبت بالبراغي. يجب أن يكون أقل من 0 وإلا لن يستقر الجنط",
+    spacer_bolt_on: "محول مثبت بالبراغي",
+    spacer_slip_on: "منزلق",
+    lug_bolts: "براغي",
+    lug_studs: "مسامير",
+    lug_studs_bolts: "مسامير/براغي",
+    spacer_keep: "، مع تعشيق {min} مم على الأقل ({turns} لفات) من سن {thread}",
+    alert_spacer_bolt_on: "فاصل {mm} مم ← استخدم محولًا مثبتًا بالبراغي ومتمركزًا على المحور: يُثبت على المحور بالعتاد الأصلي ويُركّب الجنط على مساميره الخاصة",
+    spacer_adapter_studs: " (بطول {length} مم أو أكثر)",
+    alert_stud_protrusion: "مسامير السيارة ← بارزة {value} مم بعد وجه المحول بسماكة {mm} مم: قصّرها أو استخدم محولًا أسمك، وإلا لن يستقر الجنط",
+    alert_stud_protrusion_unknown: "مسامير السيارة ← أدخل طول المسامير للتحقق من بقائها تحت وجه المحول بسماكة {mm} مم",
+    alert_spacer_slip_on: "فاصل {mm} مم ← منزلق مع {hardware} بطول {length}{keep}",
+    hub_pcd_wobble: "براغي لامركزية ({diff} مم)",
+    hub_pcd_mismatch: "نمط البراغي غير متطابق",
+    hub_pcd_match: "متطابق",
+    hub_bore_ring: "حلقة تمركز {wheel}←{hub} مم",
+    hub_bore_small: "الفتحة صغيرة جدًا ({diff} مم)",
+    hub_bore_hubcentric: "متمركز على المحور",
+    hub_turns: "لفات",
+    alert_pcd: "نمط البراغي {pcd} على محور {hubPcd} ← {verdict}",
+    alert_bore: "الفتحة المركزية ← {verdict}",
+    alert_seat: "نوع المقعد ← الجنط يحتاج صواميل/براغي {seat} (الحالية: {baseSeat})",
+    alert_engagement_low: "تعشيق السن ← {value} مم مع الفاصل، أقل من الحد الأدنى {min} مم لسن {thread}: استخدم {hardware} بطول {length}",
+    axle_front: "أمامي",
+    axle_rear: "خلفي",
+    hint_staggered: "القيم أعلاه تصبح للمحور الأمامي. أدخل الجنط والإطار الخلفيين والخلوصات المقاسة عند العجلة الخلفية؛ ثم تُقارن كل تركيبة محوراً بمحور.",
 
     // Canvas captions (static markup, data-i18n)
     caption_rim_view: "مقارنة المقطع العرضي للجنط والإطار",
@@ -74,12 +170,32 @@
     alert_arch_clear: "خلوص قوس العجلة ← {value} مم (ضيّق دون {warn} مم، واحتمال احتكاك دون {bad} مم)",
     alert_inner_clear: "الخلوص الداخلي ← {value} مم (الحد الأدنى {min} مم)",
     alert_outer_clear: "الخلوص الخارجي ← {value} مم (الحد الأدنى {min} مم)",
+    alert_load_low: "قدرة التحميل ← {value} كغ لكل إطار، أقل من الإعداد الأساسي {base} كغ",
+    alert_speed_low: "تصنيف السرعة ← {symbol} ({value} كم/س)، أقل من الإعداد الأساسي {baseSymbol} ({base} كم/س)",
     alert_rim_mismatch: "التركيب \"{setup}\": مقاس جنط الإطار {tireRim}\" لا يطابق قطر الجنط {wheelRim}\".",
 
     // Report placeholders
     report_need_baseline: "أدخل إعداداً أساسياً صحيحاً واحفظه لعرض النتائج.",
     report_need_setups: "أضف تركيبات للمقارنة.",
 
+    // Customer report and comparison table export (built in app.js)
+    hint_report: "تقرير قابل للطباعة من المقارنة لعميلك. اطبعه أو احفظه بصيغة PDF من نافذة الطباعة. تُحفظ بيانات المحل في هذا المتصفح.",
+    rpt_title: "تقرير ملاءمة الجنوط والإطارات",
+    rpt_setups: "التركيبات المقارنة",
+    rpt_baseline: "الأساسي",
+    rpt_setup: "التركيب {n}",
+    rpt_tire: "الإطار",
+    rpt_wheel: "الجنط",
+    rpt_checks: "الفحوصات",
+    rpt_no_alerts: "لا توجد ملاحظات.",
+    rpt_drawings: "الرسومات",
+    rpt_details: "المقارنة التفصيلية",
+    rpt_grade_good: "مناسب",
+    rpt_grade_warn: "تحقق",
+    rpt_grade_bad: "مشكلة",
+    rpt_footer: "حُسبت باستخدام حاسبة ToolMeUp للملاءمة. القيم تقديرية؛ تأكد من الخلوصات بتركيب تجريبي قبل القيادة.",
+    hint_table_export: "صف لكل تركيب ومحور، والإعداد الأساسي أولاً، جاهز للصق في جدول عروض الأسعار.",
+
     // Report row descriptions — Fitment Differences
     rep_ride_height_desc: "مقدار تغيّر ارتفاع السيارة نتيجة اختلاف قطر الإطار",
     rep_arch_change_desc: "التغيّر في خلوص الإطار عن قوس العجلة",
@@ -103,7 +219,12 @@
     rep_sidewall_desc: "ارتفاع الجدار الجانبي للإطار",
     rep_circumference_desc: "طول محيط الإطار",
     rep_revs_mile_desc: "عدد دورات الإطار في الميل الواحد",
-    rep_revs_km_desc: "عدد دورات الإطار في الكيلومتر الواحد"
+    rep_revs_km_desc: "عدد دورات الإطار في الكيلومتر الواحد",
+
+    // Report row descriptions — Load & Speed Rating
+    rep_load_index_desc: "مؤشر الحمولة المطبوع على الجدار الجانبي (مفرد/مزدوج لإطارات LT وC)",
+    rep_load_capacity_desc: "أقصى حمولة لكل إطار. الأحمر = يحمل أقل من الإعداد الأساسي",
+    rep_max_speed_desc: "أقصى سرعة يسمح بها تصنيف السرعة. الأحمر = أقل من الإعداد الأساسي"
   };
 
   // ---- Theme -----------------------------------------------------------